@@ -1,258 +1,562 @@
 // apiHandler.js
-// This file is responsible for interactions with the FAL and Replicate APIs for image generation
+// This file is responsible for interactions with the image generation APIs.
+// Providers live in their own modules under providers/ and register themselves here,
+// so adding a new image backend means adding a single provider module.
+
+import falProvider from './providers/falProvider.js';
+import replicateProvider from './providers/replicateProvider.js';
+import localProvider from './providers/localProvider.js';
+import { sleep } from './utils.js';
+import { registerSettings } from './settings.js';
+import { PipelineError, createHttpError, toPipelineError } from './errors.js';
+import { withRetry, isRetryable, isRejectedRequest } from './retryPolicy.js';
+import { validateImageParams, resolveImageParams, randomSeed } from './imageParams.js';
+
+const DEFAULT_IMAGE_MODEL = 'fal-z-image-turbo';
+// Side of the square element icons, in pixels: cheap to draw, yet large enough for most models to draw well
+const ICON_SIZE_PX = 512;
+
+// Polling starts at the provider's interval and slows down by this factor, up to the cap
+const POLL_BACKOFF_FACTOR = 1.5;
+const MAX_POLL_INTERVAL_MS = 4000;
+
+const imageProviders = new Map();
 
 /**
- * Function to generate an image based on the prompt using FAL API
- * Returns both URL and base64 data when available
- * @param {string} prompt - The prompt for the image generation
- * @param {string} apiKey - The FAL API Key
- * @param {string} model - The FAL model path (e.g. 'fal-ai/z-image/turbo')
- * @returns {Promise<{url: string, base64?: string, imageType: string}>}
+ * Registers an image provider with the registry.
+ *
+ * A provider is a plain object with:
+ * - id, name: identifiers used in logs and the UI
+ * - keySetting: chrome.storage key holding its API key (null if none is needed)
+ * - settings: optional list of { key, label, type, default, hint } for extra provider settings.
+ *   The key and extra settings are added to the settings schema on registration.
+ * - models: list of { id, label, params, ...provider specific fields }. params is the model's capability schema:
+ *   the generation parameters it accepts (seed, aspectRatio, negativePrompt, steps, guidance), see imageParams.js
+ * - modelPrefix / resolveModel(modelId): optional, for model ids not listed in `models`
+ * - buildRequest(prompt, model, apiKey, settings, params): returns { url, headers, body }. params holds the
+ *   resolved values of the model's parameters, with the seed always set when the model takes one. For icons it also
+ *   holds size: { width, height }, which models that take any width and height should draw at (see generateIcon())
+ * - buildTestRequest(apiKey, settings): optional, returns a cheap authenticated GET { url, headers } used to check the key
+ * - parseResult(data, model): returns an image result, or null if the result must be polled
+ * - polling: { intervalMs, timeoutMs, buildStatusRequest(data, request, apiKey), parseStatus(data, model) },
+ *   or null for providers that always answer synchronously. Polls start intervalMs apart and back off;
+ *   the job fails with a timeout once timeoutMs have passed
+ * - video: optional image-to-video capability, used to animate the background:
+ *   { models: [{ id, label, ... }], buildRequest(imageUrl, prompt, model, apiKey) -> { url, headers, body },
+ *   parseResult(data, model) -> { url } or null, polling: same shape as above, its parseStatus returning { result: { url } } }
+ * @param {Object} provider - The provider definition
+ */
+function registerImageProvider(provider) {
+    if (imageProviders.has(provider.id)) {
+        throw new Error(`Image provider already registered: ${provider.id}`);
+    }
+    registerSettings(getProviderSettingsSchema(provider));
+    imageProviders.set(provider.id, provider);
+}
+
+// Settings schema fragment of a provider's API key and extra settings
+function getProviderSettingsSchema(provider) {
+    const schema = {};
+    if (provider.keySetting) {
+        schema[provider.keySetting] = { type: 'string', default: '', secret: true };
+    }
+    for (const setting of provider.settings || []) {
+        schema[setting.key] = { type: setting.type === 'number' ? 'number' : 'string', default: setting.default };
+    }
+    return schema;
+}
+
+registerImageProvider(falProvider);
+registerImageProvider(replicateProvider);
+registerImageProvider(localProvider);
+
+registerSettings({
+    imageModel: { type: 'string', default: DEFAULT_IMAGE_MODEL, validate: isKnownImageModel },
+    // Tried in order when the selected model fails, e.g. ['replicate-pruna-p-image']
+    imageFallbackModels: {
+        type: 'array',
+        default: [],
+        validate: (modelIds) => modelIds.every(isKnownImageModel)
+    },
+    // Model id -> that model's generation parameters, e.g. { 'fal-z-image-turbo': { seedLocked: true, seed: 42 } }
+    imageParams: { type: 'object', default: {}, validate: validateImageParamsSetting },
+    // Image-to-video model that animates each new background, e.g. 'fal-video-ltx'; empty keeps the still image
+    backgroundVideoModel: { type: 'string', default: '', validate: (modelId) => modelId === '' || isKnownVideoModel(modelId) }
+});
+
+/**
+ * Returns all registered image providers in registration order
+ * @returns {Array<Object>}
+ */
+function getImageProviders() {
+    return [...imageProviders.values()];
+}
+
+/**
+ * Returns the options for an image model picker, e.g. the popup select
+ * @returns {Array<{value: string, label: string, providerId: string}>}
+ */
+function getImageModelOptions() {
+    return getImageProviders().flatMap(provider => provider.models.map(model => ({
+        value: model.id,
+        label: `${provider.name}: ${model.label}`,
+        providerId: provider.id
+    })));
+}
+
+/**
+ * Returns the default values of every provider key setting
+ * @returns {Object} - e.g. { falApiKey: '', replicateApiKey: '' }
  */
-async function getImageFromFal(prompt, apiKey, model) {
-    // Default to z-image-turbo if no model provided or if it's the default string
-    let modelPath = 'fal-ai/z-image/turbo';
-    
-    if (model && model.startsWith('fal-')) {
-        if (model === 'fal-z-image-turbo') {
-            modelPath = 'fal-ai/z-image/turbo';
-        } else if (model.startsWith('fal-')) {
-             modelPath = model.substring(4);
-        } else {
-             modelPath = model;
+function getImageKeyDefaults() {
+    const defaults = {};
+    for (const provider of imageProviders.values()) {
+        if (provider.keySetting) {
+            defaults[provider.keySetting] = '';
         }
     }
+    return defaults;
+}
 
-    const apiUrl = `https://fal.run/${modelPath}`;
-    console.log('FAL API URL:', apiUrl);
-    console.log('FAL Model Path:', modelPath);
-    
-    if (!apiKey) {
-        throw new Error('FAL API Key is missing.');
+/**
+ * Returns the defaults of every provider setting (keys included)
+ * @returns {Object} - e.g. { falApiKey: '', localImageBaseUrl: 'http://127.0.0.1:7860', ... }
+ */
+function getImageSettingDefaults() {
+    const defaults = getImageKeyDefaults();
+    for (const provider of imageProviders.values()) {
+        for (const setting of provider.settings || []) {
+            defaults[setting.key] = setting.default;
+        }
     }
+    return defaults;
+}
+
+/**
+ * Finds the provider and model entry for a stored model id
+ * @param {string} modelId - The model id (e.g. 'fal-z-image-turbo')
+ * @returns {{provider: Object, model: Object}}
+ */
+function resolveImageModel(modelId = DEFAULT_IMAGE_MODEL) {
+    for (const provider of imageProviders.values()) {
+        const model = provider.models.find(m => m.id === modelId);
+        if (model) {
+            return { provider, model };
+        }
+    }
+
+    for (const provider of imageProviders.values()) {
+        if (provider.modelPrefix && provider.resolveModel && modelId.startsWith(provider.modelPrefix)) {
+            return { provider, model: provider.resolveModel(modelId) };
+        }
+    }
+
+    throw new Error(`Unknown image model: ${modelId}`);
+}
 
+/**
+ * Returns the options for a video model picker, from the providers with an image-to-video capability
+ * @returns {Array<{value: string, label: string, providerId: string}>}
+ */
+function getVideoModelOptions() {
+    return getImageProviders().filter(provider => provider.video).flatMap(provider => provider.video.models.map(model => ({
+        value: model.id,
+        label: `${provider.name}: ${model.label}`,
+        providerId: provider.id
+    })));
+}
+
+/**
+ * Finds the provider and model entry for a video model id
+ * @param {string} modelId - The video model id (e.g. 'fal-video-ltx')
+ * @returns {{provider: Object, model: Object}}
+ */
+function resolveVideoModel(modelId) {
+    for (const provider of imageProviders.values()) {
+        const model = provider.video?.models.find(m => m.id === modelId);
+        if (model) {
+            return { provider, model };
+        }
+    }
+    throw new Error(`Unknown video model: ${modelId}`);
+}
+
+// Whether a stored video model id still resolves to a registered model
+function isKnownVideoModel(modelId) {
     try {
-        // Request with sync_mode to get immediate result
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Key ${apiKey}`
-            },
-            body: JSON.stringify({
-                prompt: prompt,
-                seed: Math.floor(Math.random() * 10000000),
-                image_size: "landscape_4_3",
-                sync_mode: true,  // Get immediate result
-                output_format: "jpeg"  // jpeg is smaller than png
-            }),
+        resolveVideoModel(modelId);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Whether a stored model id still resolves to a registered model
+function isKnownImageModel(modelId) {
+    try {
+        resolveImageModel(modelId);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Checks every model's parameters against its capability schema, throwing with what is wrong
+function validateImageParamsSetting(imageParams) {
+    for (const [modelId, values] of Object.entries(imageParams)) {
+        validateImageParams(resolveImageModel(modelId).model, values);
+    }
+    return true;
+}
+
+/**
+ * Returns the generation parameters a model will be called with
+ * @param {string} modelId - The image model id
+ * @param {Object} settings - Settings containing imageParams
+ * @param {{width: number, height: number}|null} viewport - Size of the Infinite Craft window, for the 'viewport' ratio
+ * @returns {Object} - See resolveImageParams() in imageParams.js. The seed is null unless locked.
+ */
+function getImageModelParams(modelId, settings, viewport = null) {
+    const { model } = resolveImageModel(modelId);
+    return resolveImageParams(model, settings.imageParams?.[modelId], viewport);
+}
+
+/**
+ * Returns the provider whose API key is required for the model but missing from settings
+ * @param {string} modelId - The selected image model id
+ * @param {Object} settings - Settings containing the provider key values
+ * @returns {Object|null} - The provider missing its key, or null if the model can be used
+ */
+function getProviderMissingKey(modelId, settings) {
+    const { provider } = resolveImageModel(modelId);
+    if (provider.keySetting && !settings[provider.keySetting]) {
+        return provider;
+    }
+    return null;
+}
+
+/**
+ * Returns what, besides the prompt and model, decides the image a model draws. Used to key the image cache.
+ * @param {string} modelId - The image model id
+ * @param {Object} settings - Settings containing imageParams and the provider settings
+ * @param {{width: number, height: number}|null} viewport - Size of the Infinite Craft window
+ * @returns {{seed: number|null, size: string|null, options: Object}} - seed is null while seeds are random.
+ *          options holds the other parameters and the provider's extra settings (e.g. the local server's image size).
+ */
+function getImageCacheParams(modelId, settings, viewport = null) {
+    const { provider } = resolveImageModel(modelId);
+    const { seed = null, aspectRatio = null, ...params } = getImageModelParams(modelId, settings, viewport);
+    const providerSettings = Object.fromEntries((provider.settings || []).map(setting => [setting.key, settings[setting.key]]));
+    return { seed, size: aspectRatio, options: { ...params, ...providerSettings } };
+}
+
+/**
+ * Sends a provider request. GET requests (polls, status checks) are retried on rate limits, timeouts, network errors
+ * and 5xx responses; submissions only when the provider turned them away, so a job is never paid for twice.
+ * @param {Object} provider - The provider definition
+ * @param {{url: string, method?: string, headers: Object, body?: string}} request - The request to send
+ * @param {AbortSignal} [signal] - Cancels the request and any wait between retries
+ * @returns {Promise<Object>} - The parsed JSON response
+ */
+async function fetchProviderJson(provider, request, signal) {
+    return withRetry(async () => {
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            signal
+        }).catch(error => {
+            throw toPipelineError(error, provider.name);
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`FAL API Error: ${JSON.stringify(errorData)}`);
+            throw await createHttpError(provider.name, response);
         }
+        return response.json();
+    }, { label: provider.name, signal, shouldRetry: request.method === 'GET' ? isRetryable : isRejectedRequest });
+}
 
-        const data = await response.json();
-        console.log('FAL Response:', Object.keys(data));
-
-        if (data.images && data.images.length > 0) {
-            const image = data.images[0];
-            
-            // FAL returns url, and may also include base64 in content_type scenarios
-            const result = {
-                url: image.url,
-                imageType: 'jpeg'
-            };
-            
-            // If FAL returned base64 data directly (some endpoints do)
-            if (image.base64) {
-                result.base64 = image.base64;
-            }
-            
-            return result;
-        }
+/**
+ * Polls a submitted job with a polling strategy until it yields its result
+ * @param {Object} provider - The provider definition
+ * @param {Object} polling - The strategy: the provider's polling, or its video capability's
+ * @param {Object} model - The resolved model entry
+ * @param {{url: string, headers: Object}} statusRequest - From the strategy's buildStatusRequest()
+ * @param {AbortSignal} [signal] - Cancels the polling
+ * @returns {Promise<Object>} - An image result, or a video result for video jobs
+ */
+async function pollJobResult(provider, polling, model, statusRequest, signal) {
+    const { timeoutMs } = polling;
+    const deadline = Date.now() + timeoutMs;
 
-        // Fallback to polling if sync_mode didn't work
-        const requestId = data.request_id;
-        if (!requestId) {
-            throw new Error(`FAL Response missing images and request_id: ${JSON.stringify(data)}`);
-        }
+    let intervalMs = polling.intervalMs;
+    while (Date.now() + intervalMs < deadline) {
+        await sleep(intervalMs, signal);
 
-        // Poll for Result
-        let attempts = 0;
-        while (attempts < 20) {
-            await new Promise(r => setTimeout(r, 500));
-            
-            const statusResponse = await fetch(`${apiUrl}/requests/${requestId}`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Key ${apiKey}`
-                }
-            });
-
-            if (!statusResponse.ok) {
-                throw new Error(`FAL Status Error: ${statusResponse.statusText}`);
-            }
+        const statusData = await fetchProviderJson(provider, { ...statusRequest, method: 'GET' }, signal);
+        const status = polling.parseStatus(statusData, model);
 
-            const statusData = await statusResponse.json();
-            
-            if (statusData.status === 'COMPLETED') {
-                if (statusData.images && statusData.images.length > 0) {
-                    return {
-                        url: statusData.images[0].url,
-                        base64: statusData.images[0].base64 || null,
-                        imageType: 'jpeg'
-                    };
-                }
-                throw new Error('No image in completed response');
-            } else if (statusData.status === 'FAILED') {
-                throw new Error(`FAL Request Failed: ${statusData.error}`);
-            }
-            
-            attempts++;
+        if (status?.result) {
+            return status.result;
+        } else if (status?.error) {
+            throw toPipelineError(new Error(status.error), provider.name);
         }
-        
-        throw new Error('FAL Request Timed Out');
 
-    } catch (error) {
-        console.error('Error fetching image from FAL API:', error);
-        throw error;
+        intervalMs = Math.min(MAX_POLL_INTERVAL_MS, Math.round(intervalMs * POLL_BACKOFF_FACTOR));
     }
+
+    throw new PipelineError('timeout', `${provider.name} Request Timed Out after ${timeoutMs / 1000} s`, {
+        service: provider.name
+    });
 }
 
 /**
- * Function to generate an image based on the prompt using Replicate API
- * Returns both URL and base64 data when available
+ * Runs a provider request: submits the job, then polls with the provider's strategy if needed
+ * @param {Object} provider - The provider definition
+ * @param {Object} model - The resolved model entry
  * @param {string} prompt - The prompt for the image generation
- * @param {string} apiKey - The Replicate API Key
- * @param {string} model - The model to use ('replicate-z-image-turbo' or 'replicate-pruna-p-image')
- * @returns {Promise<{url: string, base64?: string, imageType: string}>}
+ * @param {string} apiKey - The provider API key
+ * @param {Object} settings - Values of the provider's extra settings
+ * @param {Object} options - { signal: AbortSignal } to cancel the request and any polling,
+ *                           { onSubmitted: (pendingJob) => void } called before polling starts, with what
+ *                           resumeImageRequest() needs to pick the job up again,
+ *                           { params } the model's generation parameters, from getImageModelParams()
+ * @returns {Promise<{url: string, base64?: string, imageType: string, params: Object}>} - params are the parameters
+ *          the image was drawn with, including the seed actually used
  */
-async function getImageFromReplicate(prompt, apiKey, model) {
-    if (!apiKey) {
-        throw new Error('Replicate API Key is missing.');
+async function runImageRequest(provider, model, prompt, apiKey, settings = {}, options = {}) {
+    if (provider.keySetting && !apiKey) {
+        throw new PipelineError('auth', `${provider.name} API Key is missing.`, { service: provider.name });
     }
 
-    let apiUrl;
-    let version;
-    let input;
-
-    if (model === 'replicate-z-image-turbo') {
-        apiUrl = 'https://api.replicate.com/v1/predictions';
-        version = "7ea16386290ff5977c7812e66e462d7ec3954d8e007a8cd18ded3e7d41f5d7cf";
-        input = {
-            height: 768,
-            prompt: prompt,
-            output_format: "jpg"  // Request jpg for smaller size
-        };
-    } else if (model === 'replicate-pruna-p-image') {
-        apiUrl = 'https://api.replicate.com/v1/models/prunaai/p-image/predictions';
-        version = null;
-        input = {
-            prompt: prompt
-        };
-    } else {
-        throw new Error(`Unknown Replicate model: ${model}`);
+    // Unlocked seeds are picked here rather than by the provider, so the image can be reproduced later
+    const params = { ...(options.params || resolveImageParams(model)) };
+    if (params.seed === null) {
+        params.seed = randomSeed();
     }
 
-    const body = { input };
-    if (version) {
-        body.version = version;
-    }
+    const request = provider.buildRequest(prompt, model, apiKey, settings, params);
+    console.log(`${provider.name} API URL:`, request.url);
 
     try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'Prefer': 'wait'
-            },
-            body: JSON.stringify(body),
-        });
+        const data = await fetchProviderJson(provider, {
+            method: request.method || 'POST',
+            url: request.url,
+            headers: request.headers,
+            body: JSON.stringify(request.body)
+        }, options.signal);
 
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`Replicate API Error: ${JSON.stringify(errorData)}`);
+        const immediateResult = provider.parseResult(data, model);
+        if (immediateResult) {
+            return { ...immediateResult, params };
         }
 
-        let data = await response.json();
-        console.log('Replicate Response status:', data.status);
-
-        // Helper to extract result
-        const extractResult = (output) => {
-            const url = Array.isArray(output) ? output[0] : output;
-            
-            // Check if it's a data URI (base64)
-            if (typeof url === 'string' && url.startsWith('data:image')) {
-                const match = url.match(/^data:image\/(\w+);base64,(.+)$/);
-                if (match) {
-                    return {
-                        url: url,
-                        base64: match[2],
-                        imageType: match[1]
-                    };
-                }
-            }
-            
-            // Detect image type from URL
-            let imageType = 'jpeg';
-            if (url.includes('.png')) imageType = 'png';
-            if (url.includes('.webp')) imageType = 'webp';
-            
-            return {
-                url: url,
-                imageType: imageType
-            };
-        };
-
-        // Check if completed immediately
-        if (data.status === 'succeeded' && data.output) {
-            return extractResult(data.output);
+        if (!provider.polling) {
+            throw new Error(`${provider.name} Response missing image: ${JSON.stringify(data)}`);
         }
 
         // Poll for Result
-        const getUrl = data.urls?.get;
-        if (!getUrl) {
-            throw new Error(`Replicate Response missing get url: ${JSON.stringify(data)}`);
+        const statusRequest = provider.polling.buildStatusRequest(data, request, apiKey);
+        options.onSubmitted?.({ modelId: model.id, requestUrl: request.url, submission: data, params });
+        return { ...await pollJobResult(provider, provider.polling, model, statusRequest, options.signal), params };
+
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error(`Error fetching image from ${provider.name} API:`, error);
         }
+        throw toPipelineError(error, provider.name);
+    }
+}
 
-        let attempts = 0;
-        while (attempts < 40) {
-            await new Promise(r => setTimeout(r, 500));
-            
-            const statusResponse = await fetch(getUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!statusResponse.ok) {
-                throw new Error(`Replicate Status Error: ${statusResponse.statusText}`);
-            }
+/**
+ * Generates an image with whichever provider serves the given model
+ * @param {string} prompt - The prompt for the image generation
+ * @param {string} modelId - The image model id (e.g. 'replicate-pruna-p-image')
+ * @param {Object} settings - Settings containing the provider keys, provider settings and imageParams
+ * @param {Object} options - { signal, onSubmitted }, see runImageRequest(),
+ *                           { viewport: {width, height} } the size of the Infinite Craft window
+ * @returns {Promise<{url: string, base64?: string, imageType: string, params: Object}>}
+ */
+async function generateImage(prompt, modelId, settings, options = {}) {
+    const { provider, model } = resolveImageModel(modelId);
+    const apiKey = provider.keySetting ? settings[provider.keySetting] : null;
+    const params = getImageModelParams(modelId, settings, options.viewport);
+    return runImageRequest(provider, model, prompt, apiKey, settings, { ...options, params });
+}
+
+/**
+ * Generates a small square icon, e.g. of an Infinite Craft element. Models that take any width and height draw it at
+ * ICON_SIZE_PX (or their minimum size); models with a fixed list of aspect ratios draw it square at their usual size.
+ * @param {string} prompt - The icon prompt, see buildIconPrompt() in promptTemplates.js
+ * @param {string} modelId - The image model id
+ * @param {Object} settings - Settings containing the provider keys, provider settings and imageParams
+ * @param {Object} options - { signal: AbortSignal } to cancel the request and any polling
+ * @returns {Promise<{url: string, base64?: string, imageType: string, params: Object}>}
+ */
+async function generateIcon(prompt, modelId, settings, options = {}) {
+    const { provider, model } = resolveImageModel(modelId);
+    const apiKey = provider.keySetting ? settings[provider.keySetting] : null;
+    const side = Math.max(ICON_SIZE_PX, model.minSide || 0);
+    const params = { ...getImageModelParams(modelId, settings), size: { width: side, height: side } };
+    if (params.aspectRatio) {
+        params.aspectRatio = '1:1';
+    }
+    return runImageRequest(provider, model, prompt, apiKey, settings, { signal: options.signal, params });
+}
+
+/**
+ * Returns the model element icons are drawn with. The iconModel setting lives in settings.js, which the content
+ * script reads without the providers, so an id no provider knows is checked here and falls back to imageModel.
+ * @param {Object} settings - Settings containing iconModel and imageModel
+ * @returns {string} - The image model id
+ */
+function getIconModelId(settings) {
+    return isKnownImageModel(settings.iconModel) ? settings.iconModel : settings.imageModel;
+}
+
+/**
+ * Generates an image with the first model of a fallback chain that succeeds. Each model already retries
+ * transient errors on its own; the next one is only tried once a model gives up. Models whose provider
+ * key is missing are skipped.
+ * @param {string} prompt - The prompt for the image generation
+ * @param {Array<string>} modelIds - Image model ids, in the order to try them
+ * @param {Object} settings - Settings containing the provider keys and provider settings
+ * @param {Object} options - { signal, onSubmitted, viewport }, see generateImage()
+ * @returns {Promise<{image: Object, modelId: string, providerName: string, attempts: Array<{modelId: string, error: Object}>}>} -
+ *          attempts lists the models that failed before modelId succeeded
+ */
+async function generateImageWithFallback(prompt, modelIds, settings, options = {}) {
+    const attempts = [];
+    let lastError = null;
+
+    for (const modelId of modelIds) {
+        const { provider } = resolveImageModel(modelId);
+        if (getProviderMissingKey(modelId, settings)) {
+            console.log(`Skipping fallback model ${modelId}: ${provider.name} API Key is missing`);
+            continue;
+        }
 
-            data = await statusResponse.json();
-            
-            if (data.status === 'succeeded') {
-                return extractResult(data.output);
-            } else if (data.status === 'failed') {
-                throw new Error(`Replicate Request Failed: ${data.error}`);
-            } else if (data.status === 'canceled') {
-                throw new Error('Replicate Request Canceled');
+        try {
+            const image = await generateImage(prompt, modelId, settings, options);
+            return { image, modelId, providerName: provider.name, attempts };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
             }
-            
-            attempts++;
+            lastError = error;
+            attempts.push({ modelId, error: error.toJSON ? error.toJSON() : { message: error.message } });
+            console.warn(`Image model ${modelId} failed, trying the next fallback:`, error.message);
+        }
+    }
+
+    throw lastError || new PipelineError('auth', 'No image model in the fallback chain has an API key.');
+}
+
+/**
+ * Picks up polling for a job submitted before the service worker was stopped, so the image isn't paid for twice
+ * @param {{modelId: string, requestUrl: string, submission: Object, params: Object}} pendingJob - As passed to onSubmitted
+ * @param {Object} settings - Settings containing the provider keys
+ * @param {Object} options - { signal: AbortSignal } to cancel the polling
+ * @returns {Promise<{url: string, base64?: string, imageType: string, params: Object|null}>}
+ */
+async function resumeImageRequest(pendingJob, settings, options = {}) {
+    const { provider, model } = resolveImageModel(pendingJob.modelId);
+    const apiKey = provider.keySetting ? settings[provider.keySetting] : null;
+    console.log(`Resuming ${provider.name} job:`, pendingJob.submission.id || pendingJob.submission.request_id);
+
+    const statusRequest = provider.polling.buildStatusRequest(pendingJob.submission, { url: pendingJob.requestUrl }, apiKey);
+    try {
+        // Jobs submitted before parameters were recorded have none
+        return { ...await pollJobResult(provider, provider.polling, model, statusRequest, options.signal), params: pendingJob.params || null };
+    } catch (error) {
+        throw toPipelineError(error, provider.name);
+    }
+}
+
+/**
+ * Turns a generated image into a short looping clip with an image-to-video model
+ * @param {string} imageUrl - The still image, as a URL or data URI
+ * @param {string} prompt - The scene prompt the image was drawn from, to guide the motion
+ * @param {string} modelId - The video model id, see getVideoModelOptions()
+ * @param {Object} settings - Settings containing the provider keys
+ * @param {Object} options - { signal: AbortSignal } to cancel the request and any polling
+ * @returns {Promise<{url: string}>} - URL of the video
+ */
+async function generateBackgroundVideo(imageUrl, prompt, modelId, settings, options = {}) {
+    const { provider, model } = resolveVideoModel(modelId);
+    const apiKey = provider.keySetting ? settings[provider.keySetting] : null;
+    if (provider.keySetting && !apiKey) {
+        throw new PipelineError('auth', `${provider.name} API Key is missing.`, { service: provider.name });
+    }
+
+    const request = provider.video.buildRequest(imageUrl, prompt, model, apiKey);
+    console.log(`${provider.name} video API URL:`, request.url);
+
+    try {
+        const data = await fetchProviderJson(provider, {
+            method: 'POST',
+            url: request.url,
+            headers: request.headers,
+            body: JSON.stringify(request.body)
+        }, options.signal);
+
+        const immediateResult = provider.video.parseResult(data, model);
+        if (immediateResult) {
+            return immediateResult;
         }
-        
-        throw new Error('Replicate Request Timed Out');
 
+        const statusRequest = provider.video.polling.buildStatusRequest(data, request, apiKey);
+        return await pollJobResult(provider, provider.video.polling, model, statusRequest, options.signal);
     } catch (error) {
-        console.error('Error fetching image from Replicate API:', error);
-        throw error;
+        throw toPipelineError(error, provider.name);
+    }
+}
+
+/**
+ * Function to generate an image based on the prompt using FAL API
+ * @param {string} prompt - The prompt for the image generation
+ * @param {string} apiKey - The FAL API Key
+ * @param {string} model - The FAL model id (e.g. 'fal-z-image-turbo')
+ * @returns {Promise<{url: string, base64?: string, imageType: string}>}
+ */
+async function getImageFromFal(prompt, apiKey, model = DEFAULT_IMAGE_MODEL) {
+    return runImageRequest(falProvider, resolveImageModel(model).model, prompt, apiKey);
+}
+
+/**
+ * Function to generate an image based on the prompt using Replicate API
+ * @param {string} prompt - The prompt for the image generation
+ * @param {string} apiKey - The Replicate API Key
+ * @param {string} model - The model to use ('replicate-z-image-turbo' or 'replicate-pruna-p-image')
+ * @returns {Promise<{url: string, base64?: string, imageType: string}>}
+ */
+async function getImageFromReplicate(prompt, apiKey, model) {
+    const resolved = resolveImageModel(model);
+    if (resolved.provider !== replicateProvider) {
+        throw new Error(`Unknown Replicate model: ${model}`);
     }
+    return runImageRequest(replicateProvider, resolved.model, prompt, apiKey);
 }
 
-export { getImageFromFal, getImageFromReplicate };
+export {
+    DEFAULT_IMAGE_MODEL,
+    registerImageProvider,
+    getImageProviders,
+    getImageModelOptions,
+    getImageKeyDefaults,
+    getImageSettingDefaults,
+    resolveImageModel,
+    getProviderMissingKey,
+    getImageModelParams,
+    getImageCacheParams,
+    generateImage,
+    generateImageWithFallback,
+    resumeImageRequest,
+    generateIcon,
+    getIconModelId,
+    getVideoModelOptions,
+    resolveVideoModel,
+    generateBackgroundVideo,
+    getImageFromFal,
+    getImageFromReplicate
+};
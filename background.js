@@ -1,23 +1,94 @@
 // background.js
 import * as weave from './weaveShim.js';
-import { generatePromptFromTexts } from './llmHandler.js';
-import { getImageFromFal, getImageFromReplicate } from './apiHandler.js';
+import { generatePromptFromTexts, buildLlmMessages, resolveLlmConfig } from './llmHandler.js';
+import { resolvePromptTemplate, usesTemplateVariable, buildIconPrompt } from './promptTemplates.js';
+import { EMPTY_BOARD_DELTA, computeBoardDelta, getNewestDiscovery } from './boardDelta.js';
+import { recordBoard, getLineage } from './recipeGraph.js';
+import {
+    getImageModelOptions,
+    getProviderMissingKey,
+    getImageCacheParams,
+    resolveImageModel,
+    generateImage,
+    generateImageWithFallback,
+    resumeImageRequest,
+    generateBackgroundVideo,
+    generateIcon,
+    getIconModelId
+} from './apiHandler.js';
+import { getSettings, subscribeSettings, migrateSettings } from './settings.js';
+import { getVaultStatus } from './keyVault.js';
+import { PipelineError, toPipelineError, recordRecentError } from './errors.js';
+import { addGeneration, getGeneration, getActiveSession, moveChapter } from './historyStore.js';
+import {
+    getImageCacheKey,
+    getPromptCacheKey,
+    getCachedImage,
+    putCachedImage,
+    getCachedPrompt,
+    putCachedPrompt,
+    getCachedIcon,
+    putCachedIcon
+} from './generationCache.js';
+import { bytesToBase64, base64ToBytes, fetchImageBytes } from './utils.js';
+import { createScheduler } from './scheduler.js';
+import { createIconQueue } from './iconQueue.js';
+import { isRetryable } from './retryPolicy.js';
+import { getPipelineState, setPipelineState, updatePipelineDetails, listPipelineStates, clearPipelineState } from './pipelineState.js';
 
 // State
 let weaveInitialized = false;
-let isGenerating = false;
-let lastGeneratedPrompt = '';
-let lastUpdateTime = 0;
+
+// Story state per Infinite Craft tab (tab id -> Promise of the session), so tabs neither block each other nor share a story
+const tabSessions = new Map();
+
+// Minimum time between two generations for the same tab, from the "monitorFrequency" setting
+let minUpdateIntervalMs = 2000;
+
+getSettings(['monitorFrequency']).then(({ monitorFrequency }) => {
+    minUpdateIntervalMs = monitorFrequency;
+});
+subscribeSettings(['monitorFrequency'], ({ monitorFrequency }) => {
+    minUpdateIntervalMs = monitorFrequency;
+    console.log('Monitor frequency changed:', minUpdateIntervalMs);
+});
+
+// The recipe graph write of the latest board update, which the prompt's lineage waits for
+let lastBoardRecord = Promise.resolve();
+
+// Element icons are drawn a few at a time, with a pause between batches
+const ICON_BATCH_SIZE = 3;
+const ICON_BATCH_INTERVAL_MS = 2000;
+
+// An icon that fails with a transient error (rate limit, timeout, network...) is queued again after a backoff that
+// doubles each time, up to this many attempts
+const MAX_ICON_ATTEMPTS = 3;
+const ICON_RETRY_BASE_DELAY_MS = 30000;
+
+// Elements whose icon can't be drawn (rejected key, safety filter, out of attempts) -> the model that failed.
+// They are asked for again with another model, or once the icon settings change.
+const failedIcons = new Map();
+// Elements waiting to be queued again after a transient failure: name -> { attempts, timer, emoji, requesters }
+const iconRetries = new Map();
+
+subscribeSettings(['elementIcons', 'iconModel'], () => {
+    failedIcons.clear();
+});
+
+// Votes kept in chrome.storage.local; older ones are dropped
+const MAX_COMPARISON_VOTES = 500;
+
+// Comparisons waiting for a vote (comparison id -> { model, historyIds }): model is the one whose image was saved as
+// the story chapter, historyIds the history entry of each model's image (model id -> Promise of the id)
+const pendingComparisonChapters = new Map();
+// Comparisons left without a vote are forgotten past this many; their fastest image stays the chapter
+const MAX_PENDING_COMPARISONS = 20;
 
 // Initialize Weave tracing
 async function initWeave() {
     if (weaveInitialized) return;
 
-    const settings = await chrome.storage.sync.get({ 
-        wandbApiKey: '', 
-        wandbTeam: '',
-        weaveProject: 'infinite-fun'
-    });
+    const settings = await getSettings(['wandbApiKey', 'wandbTeam', 'weaveProject']);
     
     if (settings.wandbApiKey && settings.wandbTeam) {
         console.log('Initializing Weave...');
@@ -42,120 +113,585 @@ async function initWeave() {
     }
 }
 
-// Listen for messages from content scripts
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'updateTexts') {
-        handleUpdateTexts(message.texts, sender.tab.id);
-    } else if (message.action === 'regenerateImage') {
-        handleRegenerateImage();
-    }
+chrome.runtime.onInstalled.addListener(() => {
+    migrateSettings().catch(e => console.error('Settings migration failed:', e));
+    // The story used to be shared by all tabs; it now lives per tab in chrome.storage.session
+    chrome.storage.local.remove(['lastGeneratedPrompt', 'lastGeneratedElements']);
 });
 
-async function handleUpdateTexts(texts, tabId) {
-    await initWeave();
+// Show the "missing key" badge so the user knows to open the settings,
+// or the "locked" badge if the keys are encrypted and waiting for the passphrase
+async function showMissingKeyBadge() {
+    if ((await getVaultStatus()) === 'locked') {
+        console.warn('API keys are locked. Unlock them from the popup.');
+        chrome.action.setBadgeText({ text: 'LOCK' });
+        chrome.action.setBadgeBackgroundColor({ color: '#5F6368' });
+        return;
+    }
+    chrome.action.setBadgeText({ text: 'KEY' });
+    chrome.action.setBadgeBackgroundColor({ color: '#F4B400' });
+}
 
-    const now = Date.now();
+// Returns the generated image as base64 and raw bytes, downloading it if the provider only returned a URL
+async function loadImageData(imageUrl, imageBase64, imageType) {
+    if (imageBase64) {
+        return { base64: imageBase64, bytes: base64ToBytes(imageBase64), imageType };
+    }
+    if (!imageUrl) {
+        return null;
+    }
 
-    // Debounce: Ignore updates if less than 2 seconds have passed since last update
-    if (now - lastUpdateTime < 2000) {
-        console.log('Skipping update: too soon');
-        return;
+    console.log('Fetching generated image...', imageUrl.substring(0, 50));
+    try {
+        const { bytes, imageType: fetchedType } = await fetchImageBytes(imageUrl);
+        const base64 = bytesToBase64(bytes);
+        console.log(`Image encoded (${fetchedType}, ${Math.round(base64.length / 1024)}KB, ${bytes.length} bytes)`);
+        return { base64, bytes, imageType: fetchedType };
+    } catch (fetchErr) {
+        console.warn('Could not fetch image:', fetchErr);
+        return null;
     }
+}
 
-    // Lock: Ignore if currently generating
-    if (isGenerating) {
-        console.log('Skipping update: already generating');
+// Records a finished generation for the history gallery. Failures are only logged.
+// Generations made while a story is recording become its chapters, unless chapter is false: single elements drawn from
+// the recipe explorer aren't scenes of the story, and a comparison only adds one of its images.
+// Resolves with the id of the history entry, or undefined if none was saved.
+async function saveToHistory(entry, imageData, { chapter = entry.source !== 'element' } = {}) {
+    if (!imageData) {
+        console.warn('[History] No image data, skipping history entry');
         return;
     }
 
+    try {
+        const session = chapter ? await getActiveSession() : null;
+        const id = await addGeneration({
+            ...entry,
+            sessionId: session?.id,
+            image: new Blob([imageData.bytes], { type: `image/${imageData.imageType}` }),
+            imageType: imageData.imageType,
+            // Data URIs are already stored as the image itself
+            imageUrl: entry.imageUrl.startsWith('data:') ? null : entry.imageUrl
+        });
+        console.log('[History] Saved generation', id);
+        return id;
+    } catch (e) {
+        console.error('[History] Could not save generation:', e);
+    }
+}
+
+// Normalizes a provider result to { imageUrl, imageBase64, imageType, imageParams }; providers used to return a bare URL.
+// imageParams are the generation parameters the image was drawn with, seed included.
+function readImageResult(imageResult) {
+    return {
+        imageUrl: typeof imageResult === 'string' ? imageResult : imageResult.url,
+        imageBase64: typeof imageResult === 'object' ? imageResult.base64 : null,
+        imageType: typeof imageResult === 'object' ? imageResult.imageType : 'jpeg',
+        imageParams: (typeof imageResult === 'object' && imageResult.params) || null
+    };
+}
+
+// Weave expects usage keyed by model name
+function toWeaveUsage(llmResult) {
+    if (!llmResult.usage) return null;
+    return {
+        [llmResult.model]: {
+            prompt_tokens: llmResult.usage.prompt_tokens || 0,
+            completion_tokens: llmResult.usage.completion_tokens || 0,
+            total_tokens: llmResult.usage.total_tokens || 0,
+            requests: 1
+        }
+    };
+}
+
+// Logs the LLM step of a trace, with the messages rendered from the template in the format of the Weave chat UI
+async function traceLlmCompletion(traceContext, llmResult) {
+    const llmContext = await weave.startChildSpan('llm_completion', {
+        messages: llmResult.messages,
+        model: llmResult.model,
+        provider: llmResult.provider,
+        template_id: llmResult.templateId
+    }, traceContext);
+
+    await weave.endChildSpan(llmContext, {
+        choices: [{ message: { content: llmResult.prompt } }],
+        // Served from generationCache.js: nothing was sent to the LLM
+        cached: llmResult.cached
+    }, toWeaveUsage(llmResult));
+}
+
+// Logs an image generation step of a trace. Returns the Weave image, or null if the image couldn't be loaded.
+// params are the generation parameters used (with the seed, so the image can be reproduced).
+// fallback is what generateImageWithFallback() reports: the provider that succeeded and the models that failed before it.
+async function traceImageGeneration(traceContext, model, prompt, imageUrl, imageData, params = null, fallback = null) {
+    const weaveImage = imageData
+        ? { _weaveType: 'Image', data: `data:image/${imageData.imageType};base64,${imageData.base64}`, imageType: imageData.imageType }
+        : null;
+
+    const imgContext = await weave.startChildSpan('image_generation', {
+        prompt: prompt,
+        model: model,
+        params: params
+    }, traceContext);
+
+    const imgOutput = {
+        model: model,
+        // Local providers return data URIs, which are already attached as the image below
+        image_url: imageUrl.startsWith('data:') ? null : imageUrl
+    };
+    if (fallback) {
+        imgOutput.provider = fallback.providerName;
+        imgOutput.fallback_attempts = fallback.attempts;
+        imgOutput.cached = fallback.cached;
+    }
+    if (weaveImage) {
+        imgOutput.image = weaveImage;
+    }
+    await weave.endChildSpan(imgContext, imgOutput, null);
+    return weaveImage;
+}
+
+// Image models to try for a generation: the selected one, then the fallbacks in the player's order
+function getImageModelChain(settings) {
+    return [...new Set([settings.imageModel, ...settings.imageFallbackModels])];
+}
+
+// Provider to ask a key for when no model of the chain can be called, or null if one can
+function getChainMissingKey(modelIds, settings) {
+    const missing = modelIds.map(modelId => getProviderMissingKey(modelId, settings));
+    return missing.every(Boolean) ? missing[0] : null;
+}
+
+// Size limit of the generation cache in bytes; 0 when the cache is off
+function getCacheMaxBytes(settings) {
+    return settings.cacheMaxMB * 1024 * 1024;
+}
+
+// Writes the prompt for a board, or serves it from the cache when the same elements followed the same scene before.
+// Returns what generatePromptFromTexts() does, plus cached.
+async function generatePromptCached(texts, llmConfig, previousPrompt, settings, options) {
+    if (getCacheMaxBytes(settings) <= 0) {
+        return { ...await generatePromptFromTexts(texts, llmConfig, previousPrompt, options), cached: false };
+    }
+
+    const cacheKey = await getPromptCacheKey({
+        elements: texts.map(t => t.text),
+        previousPrompt,
+        llmProvider: llmConfig.provider.id,
+        llmModel: llmConfig.model,
+        template: options.template,
+        delta: options.delta,
+        lineage: options.lineage,
+        // Grows with every discovery, so it would keep any prompt from being reused unless the template shows it
+        discoveredCount: usesTemplateVariable(options.template, 'discoveredCount') ? options.discoveredCount : null,
+        legendary: options.legendary
+    });
+    const cachedPrompt = await getCachedPrompt(cacheKey).catch(e => console.warn('[Cache] Prompt lookup failed:', e));
+    if (cachedPrompt) {
+        console.log('[Cache] Prompt hit');
+        // The messages the cached prompt was written from, as the cache key holds everything they are rendered from
+        return {
+            ...cachedPrompt,
+            templateId: options.template.id,
+            messages: buildLlmMessages(texts, previousPrompt, options),
+            usage: null,
+            timeToFirstToken: null,
+            cached: true
+        };
+    }
+
+    const llmResult = await generatePromptFromTexts(texts, llmConfig, previousPrompt, options);
+    putCachedPrompt(cacheKey, llmResult, getCacheMaxBytes(settings))
+        .catch(e => console.warn('[Cache] Could not cache prompt:', e));
+    return { ...llmResult, cached: false };
+}
+
+// Draws a prompt with the fallback chain, or serves it from the cache when the selected model drew it before.
+// Only the first model is looked up, so switching models draws the scene with the new one. With options.fresh (an
+// explicit regenerate) the cache is skipped unless the model's seed is locked, as the player wants another image.
+// Returns what generateImageWithFallback() does, plus cached.
+async function generateImageCached(prompt, imageModels, settings, options) {
+    const [modelId] = imageModels;
+    const cacheParams = getImageCacheParams(modelId, settings, options.viewport);
+    if (getCacheMaxBytes(settings) > 0 && !(options.fresh && cacheParams.seed === null)) {
+        const cacheKey = await getImageCacheKey({ prompt, modelId, ...cacheParams });
+        const image = await getCachedImage(cacheKey).catch(e => console.warn('[Cache] Image lookup failed:', e));
+        if (image) {
+            console.log('[Cache] Image hit for', modelId);
+            return { image, modelId, providerName: resolveImageModel(modelId).provider.name, attempts: [], cached: true };
+        }
+    }
+    return { ...await generateImageWithFallback(prompt, imageModels, settings, options), cached: false };
+}
+
+// Adds a newly drawn image to the cache (fire and forget)
+function cacheImage(prompt, modelId, settings, viewport, imageData, imageParams) {
+    if (getCacheMaxBytes(settings) <= 0 || !imageData) return;
+    getImageCacheKey({ prompt, modelId, ...getImageCacheParams(modelId, settings, viewport) })
+        .then(cacheKey => putCachedImage(cacheKey, imageData, imageParams, getCacheMaxBytes(settings)))
+        .catch(e => console.warn('[Cache] Could not cache image:', e));
+}
+
+// Resumes an interrupted image job, reported like a fallback chain that succeeded with its first model
+async function resumeImage(pendingImage, settings, signal) {
+    const image = await resumeImageRequest(pendingImage, settings, { signal });
+    const { provider } = resolveImageModel(pendingImage.modelId);
+    return { image, modelId: pendingImage.modelId, providerName: provider.name, attempts: [], cached: false };
+}
+
+// Background clip being generated per tab (tab id -> AbortController); a newer background cancels the older clip
+const backgroundVideoJobs = new Map();
+
+// Animates a tab's new background with the image-to-video model, if one is set. The still image stays up
+// meanwhile, and for good if the clip fails. Runs after the pipeline job, so the next board isn't held back.
+async function animateBackground(tabId, imageUrl, prompt, settings) {
+    backgroundVideoJobs.get(tabId)?.abort();
+    if (!settings.backgroundVideoModel) return;
+
+    const controller = new AbortController();
+    backgroundVideoJobs.set(tabId, controller);
+    try {
+        const startVideo = Date.now();
+        const video = await generateBackgroundVideo(imageUrl, prompt, settings.backgroundVideoModel, settings, {
+            signal: controller.signal
+        });
+        console.log(`Background video took ${Date.now() - startVideo}ms with ${settings.backgroundVideoModel}`);
+        chrome.tabs.sendMessage(tabId, { action: 'updateBackgroundVideo', imageUrl, videoUrl: video.url });
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.warn('Background video failed, keeping the still image:', error.message);
+        }
+    } finally {
+        if (backgroundVideoJobs.get(tabId) === controller) {
+            backgroundVideoJobs.delete(tabId);
+        }
+    }
+}
+
+// Ends a trace whose pipeline threw, recording cancellations separately from errors (fire and forget)
+function endFailedTrace(traceContext, error) {
+    const output = error.name === 'AbortError' ? { cancelled: true } : { error: error.toString() };
+    weave.endTrace(traceContext, output, {}).catch(() => {});
+}
+
+// Key of a tab's story in chrome.storage.session
+function getTabStoryKey(tabId) {
+    return `tabStory:${tabId}`;
+}
+
+// Returns the story of a tab so far. It survives service worker restarts in chrome.storage.session.
+function getTabSession(tabId) {
+    if (!tabSessions.has(tabId)) {
+        const key = getTabStoryKey(tabId);
+        tabSessions.set(tabId, chrome.storage.session.get(key).then(stored => ({
+            lastGeneratedPrompt: stored[key]?.prompt || '',
+            lastGeneratedElements: stored[key]?.elements || [],
+            viewport: stored[key]?.viewport || null
+        })));
+    }
+    return tabSessions.get(tabId);
+}
+
+// Moves a tab's story forward and persists it
+function setTabStory(tabId, session, prompt, elements) {
+    session.lastGeneratedPrompt = prompt;
+    session.lastGeneratedElements = elements;
+    chrome.storage.session.set({ [getTabStoryKey(tabId)]: { prompt, elements, viewport: session.viewport } });
+}
+
+// Remembers the size of a tab's window, for images drawn in the 'viewport' aspect ratio
+async function setTabViewport(tabId, viewport) {
+    const session = await getTabSession(tabId);
+    session.viewport = viewport;
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    pipelineScheduler.cancel(tabId);
+    iconQueue.forget(tabId);
+    for (const retry of iconRetries.values()) {
+        retry.requesters.delete(tabId);
+    }
+    if (tabSessions.delete(tabId)) {
+        console.log('Cleared story of closed tab:', tabId);
+    }
+    chrome.storage.session.remove(getTabStoryKey(tabId));
+    clearPipelineState(tabId);
+});
+
+// Finds the Infinite Craft tab the user is looking at, or else the one they used last
+async function findInfiniteCraftTab() {
+    const infiniteCraftUrl = "https://neal.fun/infinite-craft/*";
+    const [activeTab] = await chrome.tabs.query({ url: infiniteCraftUrl, active: true, lastFocusedWindow: true });
+    if (activeTab) {
+        console.log('Found active Infinite Craft tab:', activeTab.id);
+        return activeTab.id;
+    }
+
+    const tabs = await chrome.tabs.query({ url: infiniteCraftUrl });
+    if (tabs.length > 0) {
+        const tab = tabs.reduce((latest, t) => (t.lastAccessed || 0) > (latest.lastAccessed || 0) ? t : latest);
+        console.log('Found Infinite Craft tab:', tab.id);
+        return tab.id;
+    }
+    console.warn('No Infinite Craft tab found to send update to.');
+    return null;
+}
+
+// Generations run one at a time per tab. Board changes that arrive meanwhile are coalesced, and depending on
+// the "updatePolicy" setting either cancel the running generation or wait for it, so the latest board is always illustrated.
+const pipelineScheduler = createScheduler({
+    run: runPipelineJob,
+    // A waiting board update already makes a new image, so a regenerate or resume never replaces it.
+    // Updates carry the whole board and the page's craft log, so a newer one replaces an older one without losing
+    // changes: what changed is worked out against the last illustrated board when the job runs (see boardDelta.js).
+    coalesce: (pendingJob, newJob) => pendingJob.type === 'update' && newJob.type !== 'update' ? pendingJob : newJob,
+    getMinIntervalMs: () => minUpdateIntervalMs
+});
+
+// Element icons of every tab share one queue, so an element shown in two tabs is drawn once
+const iconQueue = createIconQueue({
+    draw: drawElementIcon,
+    batchSize: ICON_BATCH_SIZE,
+    getMinIntervalMs: () => ICON_BATCH_INTERVAL_MS
+});
+
+// Runs one scheduled job. Whatever happens, the tab's pipeline leaves the busy states once the job is over.
+async function runPipelineJob(tabId, job, signal) {
+    try {
+        if (job.type === 'update') {
+            await handleUpdateTexts(job.texts, tabId, signal, job);
+        } else {
+            await handleRegenerateImage(tabId, signal, job.pendingImage);
+        }
+    } finally {
+        const { state } = await getPipelineState(tabId);
+        if (state === 'prompting' || state === 'imaging') {
+            await setPipelineState(tabId, 'idle');
+        }
+    }
+}
+
+// Reports a failed generation: the error and the job that retries it are kept in the pipeline state, so they survive
+// a service worker restart, and in the popup's recent errors. The player sees it as a toast in the tab.
+async function reportPipelineError(tabId, error, retryJob) {
+    const pipelineError = toPipelineError(error);
+    try {
+        await setPipelineState(tabId, 'error', { error: pipelineError.toJSON(), retryJob });
+    } catch (e) {
+        console.error('Could not record pipeline error:', e);
+    }
+    recordRecentError(pipelineError, { source: retryJob.type }).catch(e => console.error('Could not save recent error:', e));
+
+    chrome.action.setBadgeText({ text: 'ERR' });
+    chrome.action.setBadgeBackgroundColor({ color: '#DB4437' });
+    chrome.tabs.sendMessage(tabId, { action: 'showError', error: pipelineError.toJSON() });
+}
+
+// Runs the failed job of a tab again, from the toast's Retry button
+async function retryFailedJob(tabId) {
+    const record = await getPipelineState(tabId);
+    if (record.state === 'error' && record.retryJob) {
+        console.log('Retrying failed job for tab:', tabId);
+        submitJob(tabId, record.retryJob);
+    }
+}
+
+// A freshly started service worker has nothing in flight, so any busy pipeline was interrupted by the worker
+// being stopped. Prompts are requested again; submitted image jobs are resumed so they aren't paid for twice.
+async function recoverInterruptedPipelines() {
+    for (const record of await listPipelineStates()) {
+        if (record.state !== 'prompting' && record.state !== 'imaging') continue;
+
+        await setPipelineState(record.tabId, 'idle');
+        const tabExists = await chrome.tabs.get(record.tabId).then(() => true, () => false);
+        if (!tabExists) {
+            await clearPipelineState(record.tabId);
+            continue;
+        }
+
+        if (record.state === 'prompting') {
+            console.log('Recovering interrupted prompt for tab:', record.tabId);
+            await queueJob(record.tabId, { type: 'update', texts: record.texts, crafts: record.crafts, sidebarCount: record.sidebarCount });
+        } else if (record.pendingImage) {
+            console.log('Resuming interrupted image job for tab:', record.tabId);
+            await queueJob(record.tabId, { type: 'resume', pendingImage: record.pendingImage });
+        } else {
+            // The image request was still waiting for its response, so there is no job to resume
+            console.log('Regenerating interrupted image for tab:', record.tabId);
+            await queueJob(record.tabId, { type: 'regenerate' });
+        }
+    }
+}
+
+// The message that woke the worker is handled while recovery runs; its jobs wait for it (see submitJob()), or they
+// would start from a busy state this worker never entered
+const pipelineRecovery = recoverInterruptedPipelines().catch(e => console.error('Pipeline recovery failed:', e));
+
+// Queues a pipeline job for a tab with the configured update policy
+async function queueJob(tabId, job) {
+    const { updatePolicy } = await getSettings(['updatePolicy']);
+    pipelineScheduler.submit(tabId, job, updatePolicy);
+}
+
+// Queues a pipeline job once interrupted pipelines are recovered. Recovered jobs are queued first, so newer
+// board updates replace them.
+async function submitJob(tabId, job) {
+    await pipelineRecovery;
+    await queueJob(tabId, job);
+}
+
+// Listen for messages from content scripts and extension pages
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'updateTexts') {
+        if (message.viewport) {
+            setTabViewport(sender.tab.id, message.viewport);
+        }
+        // Recorded right away, so crafts aren't lost when the update is coalesced or cancelled
+        lastBoardRecord = recordBoard(message.texts, message.crafts)
+            .catch(e => console.warn('[Recipes] Could not record the board:', e));
+        submitJob(sender.tab.id, { type: 'update', texts: message.texts, crafts: message.crafts, sidebarCount: message.sidebarCount });
+    } else if (message.action === 'regenerateImage') {
+        // Regenerate for the tab the user is looking at
+        findInfiniteCraftTab().then(tabId => {
+            if (tabId) submitJob(tabId, { type: 'regenerate' });
+        });
+    } else if (message.action === 'applyHistoryEntry') {
+        handleApplyHistoryEntry(message.id).then(sendResponse);
+        return true;  // Keep the channel open for the async response
+    } else if (message.action === 'illustrateElement') {
+        handleIllustrateElement(message).then(sendResponse);
+        return true;  // Keep the channel open for the async response
+    } else if (message.action === 'requestIcons') {
+        handleRequestIcons(sender.tab.id, message.elements);
+    } else if (message.action === 'comparisonVote') {
+        handleComparisonVote(message);
+    } else if (message.action === 'retryPipeline') {
+        retryFailedJob(sender.tab.id);
+    }
+});
+
+// Runs the full pipeline for a board update: LLM prompt, then image. Scheduled by pipelineScheduler.
+// crafts is the page's log of recent crafts and sidebarCount its discovered element count, see craftScraper.js.
+async function handleUpdateTexts(texts, tabId, signal, { crafts = [], sidebarCount = null } = {}) {
+    await initWeave();
+    const session = await getTabSession(tabId);
+
     try {
         const startTotal = Date.now();
-        isGenerating = true;
-        lastUpdateTime = now;
 
         // Set badge to indicating processing
         chrome.action.setBadgeText({ text: '...' });
         chrome.action.setBadgeBackgroundColor({ color: '#4285F4' });
 
         // Get API keys and settings
-        const settings = await chrome.storage.sync.get({
-            openaiApiKey: '',
-            falApiKey: '',
-            replicateApiKey: '',
-            imageModel: 'fal-z-image-turbo',
-            llmModel: 'gpt-4o-mini'
-        });
-
-        if (!settings.openaiApiKey) {
-            console.warn('Missing OpenAI API Key.');
-            chrome.action.setBadgeText({ text: 'KEY' });
-            chrome.action.setBadgeBackgroundColor({ color: '#F4B400' });
-            isGenerating = false;
-            return;
-        }
+        const settings = await getSettings();
+        const comparisonModels = getComparisonModels(settings);
 
-        // Check if appropriate image API key is present
-        if (settings.imageModel.startsWith('fal') && !settings.falApiKey) {
-            console.warn('Missing FAL API Key.');
-            chrome.action.setBadgeText({ text: 'KEY' });
-            chrome.action.setBadgeBackgroundColor({ color: '#F4B400' });
-            isGenerating = false;
+        const llmConfig = resolveLlmConfig(settings);
+        if (llmConfig.provider.keyRequired && !llmConfig.apiKey) {
+            console.warn(`Missing ${llmConfig.provider.name} API Key.`);
+            showMissingKeyBadge();
             return;
         }
 
-        if (settings.imageModel.startsWith('replicate') && !settings.replicateApiKey) {
-            console.warn('Missing Replicate API Key.');
-            chrome.action.setBadgeText({ text: 'KEY' });
-            chrome.action.setBadgeBackgroundColor({ color: '#F4B400' });
-            isGenerating = false;
+        // Comparisons need the key of every model they compare; otherwise one model of the fallback chain is enough
+        const imageModels = comparisonModels || getImageModelChain(settings);
+        const providerMissingKey = comparisonModels
+            ? comparisonModels.map(modelId => getProviderMissingKey(modelId, settings)).find(Boolean)
+            : getChainMissingKey(imageModels, settings);
+        if (providerMissingKey) {
+            console.warn(`Missing ${providerMissingKey.name} API Key.`);
+            showMissingKeyBadge();
             return;
         }
 
+        await setPipelineState(tabId, 'prompting', { texts, crafts, sidebarCount });
         console.log('Generating prompt for texts:', texts);
         
         // Extract element names for display
         const elementNames = texts.map(t => t.text).join(', ');
 
+        // What changed since the previous scene, so the LLM can build on the newest discovery. The first scene has no
+        // previous one to change.
+        const delta = session.lastGeneratedPrompt
+            ? computeBoardDelta(texts.map(t => t.text), session.lastGeneratedElements, crafts,
+                texts.filter(t => t.discovered).map(t => t.text))
+            : EMPTY_BOARD_DELTA;
+        // How the newest discovery was made, from the recipes seen so far
+        await lastBoardRecord;
+        const newestDiscovery = getNewestDiscovery(delta);
+        const lineage = newestDiscovery
+            ? await getLineage(newestDiscovery).catch(e => console.warn('[Recipes] Could not read the lineage:', e)) || []
+            : [];
+        const template = resolvePromptTemplate(settings);
+
         // Start parent trace for the entire pipeline
-        const traceInputs = { elements: elementNames };
-        if (lastGeneratedPrompt) {
-            traceInputs.previous_prompt = lastGeneratedPrompt;
+        const traceInputs = { elements: elementNames, llm_provider: llmConfig.provider.id, template_id: template.id };
+        if (session.lastGeneratedPrompt) {
+            traceInputs.previous_prompt = session.lastGeneratedPrompt;
+            traceInputs.board_delta = delta;
+        }
+        if (lineage.length > 0) {
+            traceInputs.lineage = lineage;
+        }
+        if (sidebarCount !== null) {
+            traceInputs.discovered_count = sidebarCount;
         }
         const traceContext = await weave.startTrace('generate_creative_image', traceInputs);
+        const previousPrompt = session.lastGeneratedPrompt;
 
         try {
             // === LLM Call ===
             const startLLM = Date.now();
-            const llmResult = await generatePromptFromTexts(texts, settings.openaiApiKey, settings.llmModel, lastGeneratedPrompt);
+            const llmResult = await generatePromptCached(texts, llmConfig, previousPrompt, settings, {
+                stream: settings.llmStreaming,
+                signal: signal,
+                template,
+                delta,
+                lineage,
+                discoveredCount: sidebarCount,
+                legendary: settings.legendaryFirstDiscoveries,
+                // Forward the partial prompt so the player can watch the scene being written
+                onDelta: (partialPrompt) => {
+                    if (tabId) {
+                        chrome.tabs.sendMessage(tabId, { action: 'promptDelta', prompt: partialPrompt });
+                    }
+                }
+            });
             const durationLLM = Date.now() - startLLM;
             
             const prompt = llmResult.prompt;
-            console.log(`LLM Generation took ${durationLLM}ms`);
+            console.log(`LLM Generation took ${durationLLM}ms` + (llmResult.timeToFirstToken !== null ? ` (first token after ${llmResult.timeToFirstToken}ms)` : ''));
             console.log('Generated Prompt:', prompt);
 
-            // Update history
-            lastGeneratedPrompt = prompt;
-            chrome.storage.local.set({ lastGeneratedPrompt: prompt });
+            // Update story state
+            setTabStory(tabId, session, prompt, texts.map(t => t.text));
+
+            if (comparisonModels) {
+                await runComparison({
+                    prompt, previousPrompt, texts, llmResult, durationLLM,
+                    models: comparisonModels, settings, viewport: session.viewport, tabId, traceContext, startTotal, signal
+                });
+                return;
+            }
 
             // === Image Generation ===
+            await setPipelineState(tabId, 'imaging', { source: 'update', imageModel: settings.imageModel, pendingImage: null });
             const startImageGen = Date.now();
-            let imageResult;
-            if (settings.imageModel.startsWith('replicate')) {
-                imageResult = await getImageFromReplicate(prompt, settings.replicateApiKey, settings.imageModel);
-            } else {
-                imageResult = await getImageFromFal(prompt, settings.falApiKey, settings.imageModel);
-            }
+            const fallback = await generateImageCached(prompt, imageModels, settings, {
+                signal,
+                viewport: session.viewport,
+                onSubmitted: (pendingImage) => updatePipelineDetails(tabId, { pendingImage })
+            });
             const durationImageGen = Date.now() - startImageGen;
 
-            // Handle both new format {url, base64, imageType} and legacy string URL
-            const imageUrl = typeof imageResult === 'string' ? imageResult : imageResult.url;
-            const imageBase64 = typeof imageResult === 'object' ? imageResult.base64 : null;
-            const imageType = typeof imageResult === 'object' ? imageResult.imageType : 'jpeg';
+            const { imageUrl, imageBase64, imageType, imageParams } = readImageResult(fallback.image);
+            const cache = { prompt: llmResult.cached, image: fallback.cached };
 
             const totalDuration = Date.now() - startTotal;
-            console.log(`Image Generation took ${durationImageGen}ms`);
+            console.log(`Image Generation took ${durationImageGen}ms with ${fallback.modelId}`);
             console.log(`Total Pipeline took ${totalDuration}ms`);
-            console.log('Generated Image URL:', imageUrl);
+            console.log('Generated Image URL:', imageUrl.substring(0, 100));
 
             // === SEND TO USER IMMEDIATELY ===
             if (tabId) {
@@ -164,123 +700,67 @@ async function handleUpdateTexts(texts, tabId) {
                     action: 'updateBackground',
                     imageUrl: imageUrl,
                     prompt: prompt,
+                    elements: texts.map(t => t.text),
                     stats: {
                         llm: durationLLM,
+                        ttft: llmResult.timeToFirstToken,
                         imageGen: durationImageGen,
-                        total: totalDuration
+                        total: totalDuration,
+                        cache: cache
                     }
                 });
+                animateBackground(tabId, imageUrl, prompt, settings);
             }
 
             // Clear badge on success
             chrome.action.setBadgeText({ text: '' });
 
-            // === TRACE IN BACKGROUND (fire and forget) ===
+            // === HISTORY AND TRACE IN BACKGROUND (fire and forget) ===
             (async () => {
-                try {
-                    // If no base64 from API (e.g. Replicate), fetch and convert
-                    let traceBase64 = imageBase64;
-                    let traceImageType = imageType;
-                    
-                    if (!traceBase64 && imageUrl) {
-                        console.log('[Weave] Fetching image for trace...', imageUrl.substring(0, 50));
-                        try {
-                            const imgResponse = await fetch(imageUrl);
-                            if (imgResponse.ok) {
-                                // Get content type from response headers, fallback to URL detection
-                                const contentType = imgResponse.headers.get('content-type') || '';
-                                console.log('[Weave] Image content-type:', contentType);
-                                
-                                if (contentType.includes('png') || imageUrl.includes('.png')) traceImageType = 'png';
-                                else if (contentType.includes('webp') || imageUrl.includes('.webp')) traceImageType = 'webp';
-                                else if (contentType.includes('gif') || imageUrl.includes('.gif')) traceImageType = 'gif';
-                                else traceImageType = 'jpeg';
-                                
-                                // Use ArrayBuffer for more reliable binary handling
-                                const arrayBuffer = await imgResponse.arrayBuffer();
-                                const bytes = new Uint8Array(arrayBuffer);
-                                
-                                // Chunk-based base64 encoding to avoid stack overflow
-                                let binary = '';
-                                const chunkSize = 32768;
-                                for (let i = 0; i < bytes.length; i += chunkSize) {
-                                    const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-                                    binary += String.fromCharCode.apply(null, chunk);
-                                }
-                                traceBase64 = btoa(binary);
-                                
-                                console.log(`[Weave] Image encoded (${traceImageType}, ${Math.round(traceBase64.length / 1024)}KB, ${bytes.length} bytes)`);
-                            } else {
-                                console.warn('[Weave] Fetch failed:', imgResponse.status);
-                            }
-                        } catch (fetchErr) {
-                            console.warn('[Weave] Could not fetch image:', fetchErr);
-                        }
-                    }
+                // If no base64 from API (e.g. Replicate), fetch and convert
+                const imageData = await loadImageData(imageUrl, imageBase64, imageType);
+                if (!fallback.cached) {
+                    cacheImage(prompt, fallback.modelId, settings, session.viewport, imageData, imageParams);
+                }
 
-                    // Build messages for Weave chat UI
-                    const systemPrompt = `You are a Master Visual Storyteller creating vivid, cinematic image prompts from Infinite Craft elements.`;
-                    const userContent = `Elements: ${elementNames}`;
-                    const messages = [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: userContent }
-                    ];
-
-                    // LLM child span
-                    const llmContext = await weave.startChildSpan('llm_completion', {
-                        messages: messages,
-                        model: settings.llmModel
-                    }, traceContext);
-                    
-                    await weave.endChildSpan(llmContext, {
-                        choices: [{ message: { content: prompt } }]
-                    }, llmResult.usage ? {
-                        [settings.llmModel]: {
-                            prompt_tokens: llmResult.usage.prompt_tokens || 0,
-                            completion_tokens: llmResult.usage.completion_tokens || 0,
-                            total_tokens: llmResult.usage.total_tokens || 0,
-                            requests: 1
-                        }
-                    } : null);
-
-                    // Build data URI for image display
-                    const dataUri = traceBase64 
-                        ? `data:image/${traceImageType};base64,${traceBase64}` 
-                        : null;
-
-                    // Image child span - includes image + URL
-                    const imgContext = await weave.startChildSpan('image_generation', {
-                        prompt: prompt,
-                        model: settings.imageModel
-                    }, traceContext);
-                    
-                    let imgOutput = { 
-                        model: settings.imageModel,
-                        image_url: imageUrl
-                    };
-                    if (dataUri) {
-                        imgOutput.image = { _weaveType: 'Image', data: dataUri, imageType: traceImageType };
-                    }
-                    await weave.endChildSpan(imgContext, imgOutput, null);
+                saveToHistory({
+                    source: 'update',
+                    elements: texts.map(t => t.text),
+                    prompt: prompt,
+                    previousPrompt: previousPrompt,
+                    imageModel: fallback.modelId,
+                    imageParams: imageParams,
+                    llmProvider: llmResult.provider,
+                    llmModel: llmResult.model,
+                    imageUrl: imageUrl,
+                    timings: {
+                        llm: durationLLM,
+                        ttft: llmResult.timeToFirstToken,
+                        imageGen: durationImageGen,
+                        total: totalDuration
+                    },
+                    usage: llmResult.usage
+                }, imageData);
+
+                try {
+                    await traceLlmCompletion(traceContext, llmResult);
+                    const weaveImage = await traceImageGeneration(traceContext, fallback.modelId, prompt, imageUrl, imageData,
+                        imageParams, fallback);
 
                     // End parent trace - image as main display
                     const parentOutput = {
                         prompt: prompt,
-                        image_model: settings.imageModel
+                        image_model: fallback.modelId,
+                        image_provider: fallback.providerName,
+                        seed: imageParams?.seed ?? null,
+                        cache: cache
                     };
-                    if (dataUri) {
-                        parentOutput.image = { _weaveType: 'Image', data: dataUri, imageType: traceImageType };
+                    if (weaveImage) {
+                        parentOutput.image = weaveImage;
                     }
                     
                     await weave.endTrace(traceContext, parentOutput, {
-                        usage: llmResult.usage ? {
-                            [settings.llmModel]: {
-                                prompt_tokens: llmResult.usage.prompt_tokens || 0,
-                                completion_tokens: llmResult.usage.completion_tokens || 0,
-                                total_tokens: llmResult.usage.total_tokens || 0,
-                                requests: 1
-                            }
-                        } : {}
+                        usage: toWeaveUsage(llmResult) || {}
                     });
                     
                     console.log('[Weave] Tracing completed in background');
@@ -291,86 +771,231 @@ async function handleUpdateTexts(texts, tabId) {
 
         } catch (innerError) {
             // End parent trace with error (fire and forget)
-            weave.endTrace(traceContext, { error: innerError.toString() }, {}).catch(() => {});
+            endFailedTrace(traceContext, innerError);
             throw innerError;
         }
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Update cancelled: a newer board state arrived');
+            return;
+        }
         console.error('Error in handleUpdateTexts:', error);
-        chrome.action.setBadgeText({ text: 'ERR' });
-        chrome.action.setBadgeBackgroundColor({ color: '#DB4437' });
-    } finally {
-        isGenerating = false;
+        await reportPipelineError(tabId, error, { type: 'update', texts, crafts, sidebarCount });
     }
 }
 
-async function handleRegenerateImage() {
-    await initWeave();
+// Returns the models to compare, or null when comparison mode is off or has fewer than two models
+function getComparisonModels(settings) {
+    if (!settings.comparisonMode) return null;
+    const models = [...new Set(settings.comparisonModels)];
+    return models.length >= 2 ? models : null;
+}
+
+// Comparison mode: renders the same prompt with several image models in parallel and lets the player pick a winner
+async function runComparison({ prompt, previousPrompt, texts, llmResult, durationLLM, models, settings, viewport, tabId, traceContext, startTotal, signal }) {
+    const comparisonId = crypto.randomUUID();
+    const modelLabels = new Map(getImageModelOptions().map(option => [option.value, option.label]));
+
+    // === Image Generation (all models at once) ===
+    // Several jobs can't be resumed as one; after a restart the scene is regenerated with the popup's model instead
+    await setPipelineState(tabId, 'imaging', { source: 'comparison', imageModel: null, pendingImage: null });
+    const startImageGen = Date.now();
+    const outcomes = await Promise.allSettled(models.map(async (modelId) => {
+        const startModel = Date.now();
+        const imageResult = await generateImage(prompt, modelId, settings, { signal, viewport });
+        return { ...readImageResult(imageResult), imageGen: Date.now() - startModel };
+    }));
+    // Cancelled models also end up as rejections; report the cancellation rather than failed models
+    signal.throwIfAborted();
+    const durationImageGen = Date.now() - startImageGen;
+    const totalDuration = Date.now() - startTotal;
+
+    const results = outcomes.map((outcome, index) => ({
+        model: models[index],
+        label: modelLabels.get(models[index]) || models[index],
+        ...(outcome.status === 'fulfilled' ? outcome.value : { error: outcome.reason?.message || String(outcome.reason) })
+    }));
+    for (const result of results) {
+        console.log(result.error
+            ? `Comparison: ${result.model} failed: ${result.error}`
+            : `Comparison: ${result.model} took ${result.imageGen}ms`);
+    }
+    if (results.every(result => result.error)) {
+        // Same kind for every model (e.g. the prompt tripped every safety filter) is worth telling apart
+        const kinds = new Set(outcomes.map(outcome => outcome.reason?.kind));
+        throw new PipelineError(
+            kinds.size === 1 ? [...kinds][0] : 'unknown',
+            `Every comparison model failed: ${results.map(result => `${result.model}: ${result.error}`).join('; ')}`
+        );
+    }
+
+    // === SEND TO USER IMMEDIATELY ===
+    if (tabId) {
+        chrome.tabs.sendMessage(tabId, {
+            action: 'showComparison',
+            comparisonId: comparisonId,
+            callId: traceContext.callId,
+            layout: settings.comparisonLayout,
+            prompt: prompt,
+            elements: texts.map(t => t.text),
+            results: results.map(({ model, label, imageUrl, imageGen, error }) => ({ model, label, imageUrl, imageGen, error })),
+            stats: {
+                llm: durationLLM,
+                ttft: llmResult.timeToFirstToken,
+                imageGen: durationImageGen,
+                total: totalDuration
+            }
+        });
+    }
+
+    // Clear badge on success
+    chrome.action.setBadgeText({ text: '' });
+
+    // === HISTORY AND TRACE IN BACKGROUND (fire and forget) ===
+    (async () => {
+        const succeeded = results.filter(result => !result.error);
+        const imageDataLoads = succeeded.map(result => loadImageData(result.imageUrl, result.imageBase64, result.imageType));
+
+        // The image shown if the player skips the vote is the chapter until they vote for another one
+        const fastest = succeeded.reduce((best, result) => result.imageGen < best.imageGen ? result : best);
+        const saveResult = async (result, index) => saveToHistory({
+            source: 'comparison',
+            comparisonId: comparisonId,
+            elements: texts.map(t => t.text),
+            prompt: prompt,
+            previousPrompt: previousPrompt,
+            imageModel: result.model,
+            imageParams: result.imageParams,
+            llmProvider: llmResult.provider,
+            llmModel: llmResult.model,
+            imageUrl: result.imageUrl,
+            timings: {
+                llm: durationLLM,
+                ttft: llmResult.timeToFirstToken,
+                imageGen: result.imageGen,
+                total: durationLLM + result.imageGen
+            },
+            usage: llmResult.usage
+        }, await imageDataLoads[index], { chapter: result === fastest });
+        const historyIds = new Map(succeeded.map((result, index) => [result.model, saveResult(result, index)]));
+        // Set before the vote can arrive, as the images are still being saved
+        pendingComparisonChapters.set(comparisonId, { model: fastest.model, historyIds });
+        for (const staleId of [...pendingComparisonChapters.keys()].slice(0, -MAX_PENDING_COMPARISONS)) {
+            pendingComparisonChapters.delete(staleId);
+        }
+
+        const imageData = await Promise.all(imageDataLoads);
+
+        try {
+            await traceLlmCompletion(traceContext, llmResult);
+
+            const comparison = [];
+            for (const result of results) {
+                if (result.error) {
+                    comparison.push({ model: result.model, error: result.error });
+                    continue;
+                }
+                const weaveImage = await traceImageGeneration(traceContext, result.model, prompt, result.imageUrl,
+                    imageData[succeeded.indexOf(result)], result.imageParams);
+                comparison.push({ model: result.model, latency_ms: result.imageGen, image: weaveImage });
+            }
+
+            await weave.endTrace(traceContext, {
+                prompt: prompt,
+                comparison_id: comparisonId,
+                comparison: comparison
+            }, {
+                usage: toWeaveUsage(llmResult) || {}
+            });
+
+            console.log('[Weave] Comparison tracing completed in background');
+        } catch (traceError) {
+            console.error('[Weave] Comparison tracing error:', traceError);
+        }
+    })();
+}
+
+// Stores the player's pick from a comparison and attaches it to the trace as Weave feedback
+async function handleComparisonVote({ comparisonId, callId, winner, models, prompt }) {
+    const vote = { comparisonId, winner, models, prompt, createdAt: Date.now() };
+    const { comparisonVotes } = await chrome.storage.local.get({ comparisonVotes: [] });
+    comparisonVotes.push(vote);
+    await chrome.storage.local.set({ comparisonVotes: comparisonVotes.slice(-MAX_COMPARISON_VOTES) });
+    console.log('Comparison vote recorded:', winner);
 
-    // Try to get from memory first, then storage
-    if (!lastGeneratedPrompt) {
-        const stored = await chrome.storage.local.get('lastGeneratedPrompt');
-        if (stored.lastGeneratedPrompt) {
-            lastGeneratedPrompt = stored.lastGeneratedPrompt;
+    const chapter = pendingComparisonChapters.get(comparisonId);
+    pendingComparisonChapters.delete(comparisonId);
+    if (chapter && chapter.model !== winner) {
+        const [fromId, toId] = await Promise.all([chapter.historyIds.get(chapter.model), chapter.historyIds.get(winner)]);
+        if (fromId !== undefined && toId !== undefined) {
+            await moveChapter(fromId, toId).catch(e => console.error('[History] Could not move the chapter:', e));
         }
     }
 
-    if (!lastGeneratedPrompt) {
-        console.log('No prompt to regenerate');
-        return;
+    await initWeave();
+    if (weaveInitialized && callId) {
+        await weave.addFeedback(callId, 'comparison_vote', { winner, models });
     }
+}
 
-    if (isGenerating) {
-        console.log('Skipping regeneration: already generating');
+// Renders the tab's current prompt again, e.g. after the image model changed. Scheduled by pipelineScheduler.
+// With a pendingImage (see resumeImageRequest) it instead resumes an image job interrupted by a worker restart.
+async function handleRegenerateImage(tabId, signal, pendingImage = null) {
+    await initWeave();
+    const session = await getTabSession(tabId);
+
+    if (!session.lastGeneratedPrompt) {
+        console.log('No prompt to regenerate');
         return;
     }
 
+    const prompt = session.lastGeneratedPrompt;
+    const elements = session.lastGeneratedElements;
+
     try {
-        isGenerating = true;
         const startTotal = Date.now();
 
         // Set badge to indicating processing
         chrome.action.setBadgeText({ text: '...' });
         chrome.action.setBadgeBackgroundColor({ color: '#4285F4' });
 
-        console.log('Regenerating image for prompt:', lastGeneratedPrompt);
-
-        // Find active tab to send message to
-        const tabs = await chrome.tabs.query({ url: "https://neal.fun/infinite-craft/*" });
-        let tabId = null;
-        if (tabs.length > 0) {
-            tabId = tabs[0].id;
-            console.log('Found Infinite Craft tab:', tabId);
-        } else {
-            console.warn('No Infinite Craft tab found to send update to.');
-        }
+        console.log(pendingImage ? 'Resuming image for prompt:' : 'Regenerating image for prompt:', prompt);
 
         // Get settings
-        const settings = await chrome.storage.sync.get({
-            falApiKey: '',
-            replicateApiKey: '',
-            imageModel: 'fal-z-image-turbo'
-        });
+        const settings = await getSettings();
+        // A resumed job can only finish with the model it was submitted to
+        const imageModels = pendingImage ? [pendingImage.modelId] : getImageModelChain(settings);
+        const source = pendingImage ? 'resume' : 'regenerate';
+
+        const providerMissingKey = getChainMissingKey(imageModels, settings);
+        if (providerMissingKey) {
+            console.warn(`Missing ${providerMissingKey.name} API Key.`);
+            showMissingKeyBadge();
+            return;
+        }
 
         // Start trace for regeneration
-        const traceContext = await weave.startTrace('regenerate_image', {
-            prompt: lastGeneratedPrompt
+        const traceContext = await weave.startTrace(`${source}_image`, {
+            prompt: prompt
         });
 
         try {
             // Image generation
+            await setPipelineState(tabId, 'imaging', { source, imageModel: imageModels[0], pendingImage });
             const startImageGen = Date.now();
-            let imageResult;
-            if (settings.imageModel.startsWith('replicate')) {
-                imageResult = await getImageFromReplicate(lastGeneratedPrompt, settings.replicateApiKey, settings.imageModel);
-            } else {
-                imageResult = await getImageFromFal(lastGeneratedPrompt, settings.falApiKey, settings.imageModel);
-            }
+            const fallback = pendingImage
+                ? await resumeImage(pendingImage, settings, signal)
+                : await generateImageCached(prompt, imageModels, settings, {
+                    signal,
+                    viewport: session.viewport,
+                    fresh: source === 'regenerate',
+                    onSubmitted: (submitted) => updatePipelineDetails(tabId, { pendingImage: submitted })
+                });
+            const imageModel = fallback.modelId;
             const durationImageGen = Date.now() - startImageGen;
 
-            const imageUrl = typeof imageResult === 'string' ? imageResult : imageResult.url;
-            const imageBase64 = typeof imageResult === 'object' ? imageResult.base64 : null;
-            const imageType = typeof imageResult === 'object' ? imageResult.imageType : 'jpeg';
+            const { imageUrl, imageBase64, imageType, imageParams } = readImageResult(fallback.image);
 
             const totalDuration = Date.now() - startTotal;
             console.log(`Image Generation took ${durationImageGen}ms`);
@@ -380,86 +1005,57 @@ async function handleRegenerateImage() {
                 chrome.tabs.sendMessage(tabId, {
                     action: 'updateBackground',
                     imageUrl: imageUrl,
-                    prompt: lastGeneratedPrompt,
+                    prompt: prompt,
+                    elements: elements,
                     stats: { 
                         imageGen: durationImageGen,
-                        total: totalDuration 
+                        total: totalDuration,
+                        cache: { image: fallback.cached }
                     }
                 });
+                animateBackground(tabId, imageUrl, prompt, settings);
             }
 
             // Clear badge on success
             chrome.action.setBadgeText({ text: '' });
 
-            // === TRACE IN BACKGROUND ===
+            // === HISTORY AND TRACE IN BACKGROUND ===
             (async () => {
-                try {
-                    // If no base64 from API, fetch and convert
-                    let traceBase64 = imageBase64;
-                    let traceImageType = imageType;
-                    
-                    if (!traceBase64 && imageUrl) {
-                        console.log('[Weave] Fetching image for trace...', imageUrl.substring(0, 50));
-                        try {
-                            const imgResponse = await fetch(imageUrl);
-                            if (imgResponse.ok) {
-                                // Get content type from response headers, fallback to URL detection
-                                const contentType = imgResponse.headers.get('content-type') || '';
-                                console.log('[Weave] Image content-type:', contentType);
-                                
-                                if (contentType.includes('png') || imageUrl.includes('.png')) traceImageType = 'png';
-                                else if (contentType.includes('webp') || imageUrl.includes('.webp')) traceImageType = 'webp';
-                                else if (contentType.includes('gif') || imageUrl.includes('.gif')) traceImageType = 'gif';
-                                else traceImageType = 'jpeg';
-                                
-                                // Use ArrayBuffer for more reliable binary handling
-                                const arrayBuffer = await imgResponse.arrayBuffer();
-                                const bytes = new Uint8Array(arrayBuffer);
-                                
-                                // Chunk-based base64 encoding to avoid stack overflow
-                                let binary = '';
-                                const chunkSize = 32768;
-                                for (let i = 0; i < bytes.length; i += chunkSize) {
-                                    const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-                                    binary += String.fromCharCode.apply(null, chunk);
-                                }
-                                traceBase64 = btoa(binary);
-                                
-                                console.log(`[Weave] Image encoded (${traceImageType}, ${Math.round(traceBase64.length / 1024)}KB, ${bytes.length} bytes)`);
-                            } else {
-                                console.warn('[Weave] Fetch failed:', imgResponse.status);
-                            }
-                        } catch (fetchErr) {
-                            console.warn('[Weave] Could not fetch image:', fetchErr);
-                        }
-                    }
+                // If no base64 from API, fetch and convert
+                const imageData = await loadImageData(imageUrl, imageBase64, imageType);
+                if (!fallback.cached) {
+                    cacheImage(prompt, imageModel, settings, session.viewport, imageData, imageParams);
+                }
 
-                    // Build data URI for image display
-                    const dataUri = traceBase64 
-                        ? `data:image/${traceImageType};base64,${traceBase64}` 
-                        : null;
+                saveToHistory({
+                    source: source,
+                    elements: elements,
+                    prompt: prompt,
+                    previousPrompt: '',
+                    imageModel: imageModel,
+                    imageParams: imageParams,
+                    llmProvider: null,
+                    llmModel: null,
+                    imageUrl: imageUrl,
+                    timings: {
+                        imageGen: durationImageGen,
+                        total: totalDuration
+                    },
+                    usage: null
+                }, imageData);
 
-                    // Image child span - includes image + URL
-                    const imgContext = await weave.startChildSpan('image_generation', {
-                        prompt: lastGeneratedPrompt,
-                        model: settings.imageModel
-                    }, traceContext);
-                    
-                    let imgOutput = { 
-                        model: settings.imageModel,
-                        image_url: imageUrl
-                    };
-                    if (dataUri) {
-                        imgOutput.image = { _weaveType: 'Image', data: dataUri, imageType: traceImageType };
-                    }
-                    await weave.endChildSpan(imgContext, imgOutput, null);
+                try {
+                    const weaveImage = await traceImageGeneration(traceContext, imageModel, prompt, imageUrl, imageData,
+                        imageParams, fallback);
 
                     // End parent trace - image as main display
                     const traceOutput = {
-                        image_model: settings.imageModel
+                        image_model: imageModel,
+                        image_provider: fallback.providerName,
+                        seed: imageParams?.seed ?? null
                     };
-                    if (dataUri) {
-                        traceOutput.image = { _weaveType: 'Image', data: dataUri, imageType: traceImageType };
+                    if (weaveImage) {
+                        traceOutput.image = weaveImage;
                     }
                     await weave.endTrace(traceContext, traceOutput, {});
                     
@@ -470,15 +1066,228 @@ async function handleRegenerateImage() {
             })();
 
         } catch (innerError) {
-            weave.endTrace(traceContext, { error: innerError.toString() }, {}).catch(() => {});
+            endFailedTrace(traceContext, innerError);
             throw innerError;
         }
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Regeneration cancelled: a newer board state arrived');
+            return;
+        }
         console.error('Error in handleRegenerateImage:', error);
-        chrome.action.setBadgeText({ text: 'ERR' });
-        chrome.action.setBadgeBackgroundColor({ color: '#DB4437' });
-    } finally {
-        isGenerating = false;
+        // A failed resume has no job left to poll, so retrying regenerates the image
+        await reportPipelineError(tabId, error, { type: 'regenerate' });
+    }
+}
+
+// Shows a generation from the history page as the Infinite Craft background again,
+// and continues the story from its prompt
+async function handleApplyHistoryEntry(id) {
+    try {
+        const entry = await getGeneration(id);
+        if (!entry) {
+            return { ok: false, error: 'Generation not found' };
+        }
+
+        const tabId = await findInfiniteCraftTab();
+        if (!tabId) {
+            return { ok: false, error: 'Open Infinite Craft first' };
+        }
+
+        const bytes = new Uint8Array(await entry.image.arrayBuffer());
+        chrome.tabs.sendMessage(tabId, {
+            action: 'updateBackground',
+            imageUrl: `data:image/${entry.imageType};base64,${bytesToBase64(bytes)}`,
+            prompt: entry.prompt,
+            elements: entry.elements
+        });
+
+        setTabStory(tabId, await getTabSession(tabId), entry.prompt, entry.elements);
+
+        return { ok: true };
+    } catch (error) {
+        console.error('Error in handleApplyHistoryEntry:', error);
+        return { ok: false, error: error.message };
+    }
+}
+
+// Draws a single element from the recipe explorer page, with the selected template and image models.
+// Leaves the game and its story alone: the illustration is returned to the page and kept in the history.
+async function handleIllustrateElement({ name, emoji = '' }) {
+    await initWeave();
+    try {
+        const startTotal = Date.now();
+        const settings = await getSettings();
+        const llmConfig = resolveLlmConfig(settings);
+        if (llmConfig.provider.keyRequired && !llmConfig.apiKey) {
+            return { ok: false, error: `Add your ${llmConfig.provider.name} API key on the Options page first` };
+        }
+        const imageModels = getImageModelChain(settings);
+        const providerMissingKey = getChainMissingKey(imageModels, settings);
+        if (providerMissingKey) {
+            return { ok: false, error: `Add your ${providerMissingKey.name} API key on the Options page first` };
+        }
+
+        const texts = [{ id: null, text: name, emoji }];
+        const template = resolvePromptTemplate(settings);
+        const traceContext = await weave.startTrace('illustrate_element', {
+            elements: name,
+            llm_provider: llmConfig.provider.id,
+            template_id: template.id
+        });
+
+        try {
+            const startLLM = Date.now();
+            const llmResult = await generatePromptCached(texts, llmConfig, '', settings, { template });
+            const durationLLM = Date.now() - startLLM;
+
+            const startImageGen = Date.now();
+            const fallback = await generateImageCached(llmResult.prompt, imageModels, settings, {});
+            const durationImageGen = Date.now() - startImageGen;
+            const { imageUrl, imageBase64, imageType, imageParams } = readImageResult(fallback.image);
+            const totalDuration = Date.now() - startTotal;
+
+            (async () => {
+                const imageData = await loadImageData(imageUrl, imageBase64, imageType);
+                if (!fallback.cached) {
+                    cacheImage(llmResult.prompt, fallback.modelId, settings, null, imageData, imageParams);
+                }
+
+                saveToHistory({
+                    source: 'element',
+                    elements: [name],
+                    prompt: llmResult.prompt,
+                    previousPrompt: '',
+                    imageModel: fallback.modelId,
+                    imageParams: imageParams,
+                    llmProvider: llmResult.provider,
+                    llmModel: llmResult.model,
+                    imageUrl: imageUrl,
+                    timings: {
+                        llm: durationLLM,
+                        ttft: llmResult.timeToFirstToken,
+                        imageGen: durationImageGen,
+                        total: totalDuration
+                    },
+                    usage: llmResult.usage
+                }, imageData);
+
+                try {
+                    await traceLlmCompletion(traceContext, llmResult);
+                    const weaveImage = await traceImageGeneration(traceContext, fallback.modelId, llmResult.prompt, imageUrl,
+                        imageData, imageParams, fallback);
+                    const traceOutput = { prompt: llmResult.prompt, image_model: fallback.modelId, image_provider: fallback.providerName };
+                    if (weaveImage) {
+                        traceOutput.image = weaveImage;
+                    }
+                    await weave.endTrace(traceContext, traceOutput, { usage: toWeaveUsage(llmResult) || {} });
+                } catch (traceError) {
+                    console.error('[Weave] Illustration tracing error:', traceError);
+                }
+            })();
+
+            return { ok: true, imageUrl, prompt: llmResult.prompt };
+        } catch (innerError) {
+            endFailedTrace(traceContext, innerError);
+            throw innerError;
+        }
+    } catch (error) {
+        console.error('Error in handleIllustrateElement:', error);
+        return { ok: false, error: error.message };
+    }
+}
+
+// Sends the icons of a tab's elements, as { name: data URI }
+function sendElementIcons(tabId, icons) {
+    chrome.tabs.sendMessage(tabId, { action: 'elementIcons', icons });
+}
+
+// Answers a tab's icon request: cached icons are sent right away, the others are queued for drawing.
+// elements are the tab's elements without an icon, { name, emoji, visible }, see elementIcons.js.
+async function handleRequestIcons(tabId, elements) {
+    const settings = await getSettings();
+    if (!settings.elementIcons) return;
+    const modelId = getIconModelId(settings);
+    const providerMissingKey = getProviderMissingKey(modelId, settings);
+    if (providerMissingKey) {
+        console.warn(`[Icons] No ${providerMissingKey.name} API key, icons are not drawn`);
+        return;
+    }
+
+    const cached = {};
+    const missing = [];
+    for (const element of elements) {
+        if (failedIcons.get(element.name) === modelId) continue;
+        // Waiting to be retried: the tab gets the icon along with the tabs that asked before
+        const retry = iconRetries.get(element.name);
+        if (retry?.timer) {
+            retry.requesters.add(tabId);
+            continue;
+        }
+
+        const icon = getCacheMaxBytes(settings) > 0
+            ? await getCachedIcon(element.name).catch(e => console.warn('[Cache] Icon lookup failed:', e))
+            : null;
+        if (icon) {
+            cached[element.name] = icon.url;
+        } else {
+            missing.push(element);
+        }
+    }
+
+    if (Object.keys(cached).length > 0) {
+        sendElementIcons(tabId, cached);
+    }
+    iconQueue.request(tabId, missing);
+}
+
+// Draws the icon of an element and sends it to the tabs that asked for it. Scheduled by iconQueue.
+// Icons aren't traced nor kept in the history: there is one per element, and they are drawn without the LLM.
+async function drawElementIcon({ name, emoji, requesters }) {
+    const settings = await getSettings();
+    // Turned off since the icon was queued
+    if (!settings.elementIcons) return;
+    const modelId = getIconModelId(settings);
+    try {
+        const start = Date.now();
+        const { imageUrl, imageBase64, imageType } = readImageResult(await generateIcon(buildIconPrompt(name, emoji), modelId, settings));
+        // The page gets a data URI, so it shows the icon even after the provider's URL expires
+        const imageData = await loadImageData(imageUrl, imageBase64, imageType);
+        if (!imageData) {
+            throw new PipelineError('network', 'Could not download the icon');
+        }
+        console.log(`[Icons] Drew ${name} with ${modelId} in ${Date.now() - start}ms`);
+        iconRetries.delete(name);
+
+        if (getCacheMaxBytes(settings) > 0) {
+            putCachedIcon(name, imageData, getCacheMaxBytes(settings))
+                .catch(e => console.warn('[Cache] Could not cache icon:', e));
+        }
+        const url = `data:image/${imageData.imageType};base64,${imageData.base64}`;
+        for (const tabId of requesters) {
+            sendElementIcons(tabId, { [name]: url });
+        }
+    } catch (error) {
+        const retry = iconRetries.get(name) || { attempts: 0, timer: null, emoji, requesters: new Set() };
+        retry.attempts++;
+        if (!isRetryable(error) || retry.attempts >= MAX_ICON_ATTEMPTS) {
+            iconRetries.delete(name);
+            failedIcons.set(name, modelId);
+            console.warn(`[Icons] Could not draw ${name}:`, error.message);
+            return;
+        }
+
+        const delay = ICON_RETRY_BASE_DELAY_MS * 2 ** (retry.attempts - 1);
+        console.warn(`[Icons] Could not draw ${name} (${error.message}), retrying in ${delay}ms`);
+        requesters.forEach(tabId => retry.requesters.add(tabId));
+        retry.timer = setTimeout(() => {
+            retry.timer = null;
+            for (const tabId of retry.requesters) {
+                iconQueue.request(tabId, [{ name, emoji: retry.emoji }]);
+            }
+            retry.requesters.clear();
+        }, delay);
+        iconRetries.set(name, retry);
     }
 }
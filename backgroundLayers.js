@@ -0,0 +1,299 @@
+// backgroundLayers.js
+// Draws the generated images behind Infinite Craft. Two stacked layers take turns: the next image is preloaded and
+// decoded into the hidden one, which then fades in over the current one, so the page never flashes blank.
+// The current image can slowly pan and zoom (Ken Burns), or be replaced by a looping clip of it once one is ready.
+// Loaded before nealFunContentScript.js, which calls showBackgroundImage(), showBackgroundVideo() and
+// setBackgroundOptions().
+
+const BACKGROUND_ROOT_ID = 'infinite-fun-background';
+const CROSSFADE_MS = 600;
+// How far the parallax layer may drift from the center, as a share of the window
+const PARALLAX_SHIFT = 0.03;
+// Seconds one Ken Burns pan takes at speed 1; speed 10 is ten times faster
+const KEN_BURNS_SLOWEST_S = 120;
+// Start and end framings of a Ken Burns pan; each image picks one at random. The zoom keeps the edges out of view.
+const KEN_BURNS_MOVES = [
+    ['scale(1) translate(0, 0)', 'scale(1.15) translate(-3%, -2%)'],
+    ['scale(1.15) translate(3%, 2%)', 'scale(1) translate(0, 0)'],
+    ['scale(1.1) translate(-3%, 0)', 'scale(1.1) translate(3%, 0)'],
+    ['scale(1.05) translate(0, 2%)', 'scale(1.15) translate(2%, -3%)']
+];
+
+// Background styles of each backgroundFit option
+const BACKGROUND_FITS = {
+    cover: { backgroundSize: 'cover', backgroundPosition: 'center', backgroundRepeat: 'no-repeat' },
+    contain: { backgroundSize: 'contain', backgroundPosition: 'center', backgroundRepeat: 'no-repeat' },
+    tile: { backgroundSize: 'auto', backgroundPosition: 'top left', backgroundRepeat: 'repeat' },
+    parallax: { backgroundSize: 'cover', backgroundPosition: 'center', backgroundRepeat: 'no-repeat' }
+};
+
+let backgroundOptions = { fit: 'cover', dim: 0, blur: 0, excludeSidebar: true, animation: 'none', animationSpeed: 3 };
+let backgroundLayers = null;
+// The layer showing the current image
+let frontLayerIndex = 0;
+// Bumped by every showBackgroundImage() call, so an image that finishes loading late doesn't replace a newer one
+let backgroundRequestId = 0;
+// The image last requested, which a clip must be made from to be shown
+let currentBackgroundUrl = null;
+// The looping clip playing over the current image, if any
+let backgroundVideo = null;
+// Running Ken Burns animations (layer -> Animation)
+const kenBurnsAnimations = new Map();
+let sidebarResizeObserver = null;
+let observedSidebar = null;
+let sidebarWidth = 0;
+let parallaxFrame = null;
+
+// Returns the layers, creating them on first use
+function getBackgroundLayers() {
+    if (backgroundLayers && backgroundLayers.root.isConnected) {
+        return backgroundLayers;
+    }
+
+    const root = document.createElement('div');
+    root.id = BACKGROUND_ROOT_ID;
+    root.style.position = 'fixed';
+    root.style.top = '0';
+    root.style.bottom = '0';
+    root.style.left = '0';
+    root.style.overflow = 'hidden';
+    root.style.pointerEvents = 'none';
+    root.style.zIndex = '-1';
+
+    const images = [0, 1].map(() => {
+        const layer = document.createElement('div');
+        layer.style.position = 'absolute';
+        layer.style.opacity = '0';
+        layer.style.transition = `opacity ${CROSSFADE_MS}ms ease-in-out`;
+        layer.style.willChange = 'opacity, transform';
+        root.appendChild(layer);
+        return layer;
+    });
+
+    // Darkens the image so element names stay readable
+    const dim = document.createElement('div');
+    dim.style.position = 'absolute';
+    dim.style.inset = '0';
+    dim.style.backgroundColor = 'black';
+    root.appendChild(dim);
+
+    document.body.prepend(root);
+    backgroundLayers = { root, images, dim };
+    layoutBackground();
+    return backgroundLayers;
+}
+
+// Applies the fit, dim, blur and sidebar options to the layers
+function layoutBackground() {
+    if (!backgroundLayers) return;
+    const { root, images, dim } = backgroundLayers;
+    const { fit, blur } = backgroundOptions;
+
+    root.style.right = `${backgroundOptions.excludeSidebar ? sidebarWidth : 0}px`;
+    dim.style.opacity = String(backgroundOptions.dim / 100);
+
+    // Blur fades the edges toward transparent, and parallax moves them into view: both draw past the window
+    const overflow = fit === 'parallax' ? `-${PARALLAX_SHIFT * 100}%` : blur > 0 ? `-${blur * 2}px` : '0';
+    for (const layer of images) {
+        Object.assign(layer.style, BACKGROUND_FITS[fit] || BACKGROUND_FITS.cover);
+    }
+    for (const layer of backgroundVideo ? [...images, backgroundVideo] : images) {
+        layer.style.inset = overflow;
+        layer.style.filter = blur > 0 ? `blur(${blur}px)` : '';
+        if (fit !== 'parallax') {
+            layer.style.translate = '';
+        }
+    }
+    if (backgroundVideo) {
+        // Clips can't be tiled
+        backgroundVideo.style.objectFit = fit === 'contain' ? 'contain' : 'cover';
+    }
+    watchPointerForParallax(fit === 'parallax');
+}
+
+// Moves the parallax layers against the pointer, at most once per frame
+function onParallaxPointerMove(event) {
+    if (parallaxFrame) return;
+    parallaxFrame = requestAnimationFrame(() => {
+        parallaxFrame = null;
+        if (!backgroundLayers) return;
+        const x = (0.5 - event.clientX / window.innerWidth) * 2 * PARALLAX_SHIFT * 100;
+        const y = (0.5 - event.clientY / window.innerHeight) * 2 * PARALLAX_SHIFT * 100;
+        // The translate property composes with the Ken Burns transform instead of replacing it
+        for (const layer of backgroundVideo ? [...backgroundLayers.images, backgroundVideo] : backgroundLayers.images) {
+            layer.style.translate = `${x.toFixed(2)}% ${y.toFixed(2)}%`;
+        }
+    });
+}
+
+// Starts or stops following the pointer. addEventListener ignores a listener that is already registered.
+function watchPointerForParallax(enabled) {
+    if (enabled) {
+        window.addEventListener('pointermove', onParallaxPointerMove, { passive: true });
+    } else {
+        window.removeEventListener('pointermove', onParallaxPointerMove);
+    }
+}
+
+// Keeps the background out from under the sidebar, whose width changes with the window and the player's resizing
+function watchSidebarWidth() {
+    const sidebar = document.getElementById('sidebar');
+    if (!sidebar || sidebar === observedSidebar) return;
+
+    sidebarResizeObserver ??= new ResizeObserver(() => {
+        sidebarWidth = observedSidebar.getBoundingClientRect().width;
+        layoutBackground();
+    });
+    if (observedSidebar) {
+        sidebarResizeObserver.unobserve(observedSidebar);
+    }
+    observedSidebar = sidebar;
+    sidebarResizeObserver.observe(sidebar);
+}
+
+// Stops panning and zooming a layer
+function stopKenBurns(layer) {
+    kenBurnsAnimations.get(layer)?.cancel();
+    kenBurnsAnimations.delete(layer);
+}
+
+// Starts panning and zooming a layer from a random framing, if the Ken Burns animation is on
+function startKenBurns(layer) {
+    stopKenBurns(layer);
+    if (backgroundOptions.animation !== 'kenburns') return;
+
+    const [from, to] = KEN_BURNS_MOVES[Math.floor(Math.random() * KEN_BURNS_MOVES.length)];
+    kenBurnsAnimations.set(layer, layer.animate([{ transform: from }, { transform: to }], {
+        duration: KEN_BURNS_SLOWEST_S * 1000 / backgroundOptions.animationSpeed,
+        direction: 'alternate',
+        iterations: Infinity,
+        easing: 'ease-in-out'
+    }));
+}
+
+// Fades the clip out and drops it, e.g. once a new image replaces the one it was made from
+function removeBackgroundVideo() {
+    if (!backgroundVideo) return;
+    const video = backgroundVideo;
+    backgroundVideo = null;
+    video.style.opacity = '0';
+    setTimeout(() => video.remove(), CROSSFADE_MS);
+}
+
+/**
+ * Updates how the background is drawn. Options that are left out keep their value.
+ * @param {{fit?: string, dim?: number, blur?: number, excludeSidebar?: boolean, animation?: string,
+ *        animationSpeed?: number}} options - fit is one of cover, contain, tile and parallax; dim is a percentage;
+ *        blur is in pixels; animation is 'none' or 'kenburns', whose speed goes from 1 (slowest) to 10
+ */
+function setBackgroundOptions(options) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+    const previous = backgroundOptions;
+    backgroundOptions = { ...backgroundOptions, ...Object.fromEntries(defined) };
+    layoutBackground();
+
+    // A playing clip already moves; the image under it stays still
+    if (backgroundLayers && !backgroundVideo && (previous.animation !== backgroundOptions.animation
+        || previous.animationSpeed !== backgroundOptions.animationSpeed)) {
+        startKenBurns(backgroundLayers.images[frontLayerIndex]);
+    }
+}
+
+/**
+ * Preloads an image, then crossfades the background to it
+ * @param {string} url - Image URL or data URI
+ * @returns {Promise<boolean>} - False if a newer image was requested while this one loaded
+ */
+async function showBackgroundImage(url) {
+    const requestId = ++backgroundRequestId;
+    currentBackgroundUrl = url;
+
+    const image = new Image();
+    image.src = url;
+    try {
+        await image.decode();
+    } catch (e) {
+        // Shown anyway: the browser may still manage to draw it, and an old background would be misleading
+        console.error('Infinite Fun Extension: Could not preload background', e);
+    }
+    if (requestId !== backgroundRequestId) {
+        return false;
+    }
+
+    watchSidebarWidth();
+    const { images } = getBackgroundLayers();
+    const back = images[1 - frontLayerIndex];
+    const front = images[frontLayerIndex];
+
+    // Hidden at once, in case the previous crossfade hasn't hidden it yet
+    back.style.transition = 'none';
+    back.style.opacity = '0';
+    back.style.backgroundImage = `url("${url}")`;
+    // Stacked above the current image, which stays opaque underneath until the new one has faded in
+    front.after(back);
+    // Forces a style flush, so the fade starts from the hidden state
+    void back.offsetWidth;
+    back.style.transition = `opacity ${CROSSFADE_MS}ms ease-in-out`;
+    back.style.opacity = '1';
+    frontLayerIndex = 1 - frontLayerIndex;
+    startKenBurns(back);
+    removeBackgroundVideo();
+
+    setTimeout(() => {
+        if (front !== images[frontLayerIndex]) {
+            front.style.opacity = '0';
+            // Kept moving until now, so it doesn't jump while fading out
+            stopKenBurns(front);
+        }
+    }, CROSSFADE_MS);
+    return true;
+}
+
+/**
+ * Plays a looping clip of the current image over it. If the clip can't be played, the still image stays.
+ * @param {string} videoUrl - URL of the clip
+ * @param {string} imageUrl - The image the clip was made from; ignored if another image is shown by now
+ * @returns {Promise<boolean>} - Whether the clip is playing
+ */
+async function showBackgroundVideo(videoUrl, imageUrl) {
+    if (imageUrl !== currentBackgroundUrl || !backgroundLayers) {
+        return false;
+    }
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.style.position = 'absolute';
+    video.style.width = '100%';
+    video.style.height = '100%';
+    video.style.opacity = '0';
+    video.style.transition = `opacity ${CROSSFADE_MS}ms ease-in-out`;
+    video.src = videoUrl;
+
+    try {
+        // Waits for the first frame, so the clip doesn't fade in as a blank box
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+            video.addEventListener('error', () => reject(video.error), { once: true });
+        });
+        await video.play();
+    } catch (e) {
+        console.error('Infinite Fun Extension: Could not play background video, keeping the image', e);
+        return false;
+    }
+    if (imageUrl !== currentBackgroundUrl) {
+        return false;
+    }
+
+    removeBackgroundVideo();
+    backgroundLayers.dim.before(video);
+    backgroundVideo = video;
+    layoutBackground();
+    // Forces a style flush, so the fade starts from the hidden state
+    void video.offsetWidth;
+    video.style.opacity = '1';
+    // The clip already moves; panning the image under it would only cost frames
+    stopKenBurns(backgroundLayers.images[frontLayerIndex]);
+    return true;
+}
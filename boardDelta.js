@@ -0,0 +1,71 @@
+// boardDelta.js
+// What changed on the board since the last illustrated scene: elements added and removed, and the crafts that made
+// the new ones (e.g. Fire + Water → Steam), and which new ones nobody had crafted before, so the LLM can focus the
+// next scene on the newest discovery.
+// Deltas are taken against the last illustrated board rather than the previous update, so a generation that was
+// cancelled by a newer board doesn't lose its changes.
+
+const EMPTY_BOARD_DELTA = Object.freeze({ added: [], removed: [], crafted: [], discovered: [] });
+
+/**
+ * Compares the board with the one of the previous scene
+ * @param {Array<string>} elements - Elements on the board now
+ * @param {Array<string>} previousElements - Elements of the previous scene
+ * @param {Array<{ingredients: Array<string>, result: string}>} crafts - Crafts seen in the page, oldest first
+ * @param {Array<string>} firstDiscoveries - Elements on the board the page marks as first discoveries
+ * @returns {{added: Array<string>, removed: Array<string>, crafted: Array<{ingredients: Array<string>, result: string}>,
+ *          discovered: Array<string>}} - crafted only lists the crafts that made an added element, the latest one for
+ *          each element; discovered lists the added elements that are first discoveries
+ */
+function computeBoardDelta(elements, previousElements, crafts = [], firstDiscoveries = []) {
+    const previous = new Set(previousElements);
+    const current = new Set(elements);
+    const added = elements.filter(element => !previous.has(element));
+
+    const addedSet = new Set(added);
+    const crafted = [];
+    for (const craft of [...crafts].reverse()) {
+        if (addedSet.has(craft.result) && !crafted.some(other => other.result === craft.result)) {
+            crafted.unshift(craft);
+        }
+    }
+
+    // Ingredients used up by a craft were combined, not removed
+    const consumed = new Set(crafted.flatMap(craft => craft.ingredients));
+    const removed = previousElements.filter(element => !current.has(element) && !consumed.has(element));
+
+    const firstDiscoverySet = new Set(firstDiscoveries);
+    const discovered = added.filter(element => firstDiscoverySet.has(element));
+
+    return { added, removed, crafted, discovered };
+}
+
+/**
+ * Describes a craft for the LLM
+ * @param {{ingredients: Array<string>, result: string}} craft - The craft
+ * @returns {string} - e.g. 'Fire + Water → Steam'
+ */
+function formatCraft({ ingredients, result }) {
+    return `${ingredients.join(' + ')} → ${result}`;
+}
+
+/**
+ * Returns the element the next scene should focus on: the last crafted one, or else the last one added
+ * @param {Object} delta - From computeBoardDelta()
+ * @returns {string} - Empty if nothing was added
+ */
+function getNewestDiscovery(delta) {
+    return delta.crafted.at(-1)?.result || delta.added.at(-1) || '';
+}
+
+/**
+ * Returns the newest of the added elements nobody had crafted before
+ * @param {Object} delta - From computeBoardDelta()
+ * @returns {string} - Empty if there is none
+ */
+function getNewestFirstDiscovery(delta) {
+    const crafted = delta.crafted.map(craft => craft.result).filter(result => delta.discovered.includes(result));
+    return crafted.at(-1) || delta.discovered.at(-1) || '';
+}
+
+export { EMPTY_BOARD_DELTA, computeBoardDelta, formatCraft, getNewestDiscovery, getNewestFirstDiscovery };
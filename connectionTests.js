@@ -0,0 +1,114 @@
+// connectionTests.js
+// "Test" checks for every configured service: one cheap authenticated call each, classified so the
+// options page can say what is wrong (rejected key, no credits, unreachable server...) instead of an ERR badge.
+
+import { getImageProviders } from './apiHandler.js';
+import { LLM_PROVIDERS, getLlmKeySetting, resolveLlmConfig, buildModelsRequest } from './llmHandler.js';
+import { buildConnectionTestRequest } from './weaveShim.js';
+import { readErrorDetail } from './errors.js';
+
+const TEST_TIMEOUT_MS = 10000;
+
+const KIND_MESSAGES = {
+    auth: 'Key rejected',
+    quota: 'Key accepted, but the account is out of credits',
+    rate_limit: 'Key accepted, but rate limited right now',
+    not_found: 'Endpoint or project not found',
+    http: 'Unexpected response',
+    network: 'Could not reach the server',
+    timeout: `No answer within ${TEST_TIMEOUT_MS / 1000} s`
+};
+
+// What an HTTP error status says about the key
+function classifyStatus(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 402) return 'quota';
+    if (status === 404) return 'not_found';
+    if (status === 429) return 'rate_limit';
+    return 'http';
+}
+
+/**
+ * Runs a test request
+ * @param {{url: string, method?: string, headers: Object, body?: string}} request - The request to send
+ * @returns {Promise<{ok: boolean, kind?: string, status?: number, message: string}>} - kind is 'auth', 'quota',
+ *          'rate_limit', 'not_found', 'http', 'network' or 'timeout'. Quota and rate limits still prove the key works.
+ */
+async function runTestRequest(request) {
+    let response;
+    try {
+        response = await fetch(request.url, {
+            method: request.method || 'GET',
+            headers: request.headers,
+            body: request.body,
+            signal: AbortSignal.timeout(TEST_TIMEOUT_MS)
+        });
+    } catch (e) {
+        if (e.name === 'TimeoutError') {
+            return { ok: false, kind: 'timeout', message: KIND_MESSAGES.timeout };
+        }
+        return { ok: false, kind: 'network', message: `${KIND_MESSAGES.network}: ${e.message}` };
+    }
+
+    if (response.ok) {
+        return { ok: true, message: 'Connected' };
+    }
+
+    const kind = classifyStatus(response.status);
+    const detail = await readErrorDetail(response);
+    return {
+        ok: kind === 'quota' || kind === 'rate_limit',
+        kind,
+        status: response.status,
+        message: `${KIND_MESSAGES[kind]} (${response.status}${detail ? `: ${detail}` : ''})`
+    };
+}
+
+/**
+ * Lists one test per service, keyed by the setting its result is shown next to
+ * @returns {Array<{settingKey: string, name: string, isConfigured: Function, buildRequest: Function}>} -
+ *          isConfigured(settings) tells whether there is something to test, buildRequest(settings) the request to send
+ */
+function getConnectionTests() {
+    // Only the selected LLM provider, so saving doesn't ping servers that aren't used
+    const llmTests = Object.values(LLM_PROVIDERS).map(provider => ({
+        settingKey: getLlmKeySetting(provider.id),
+        name: provider.name,
+        isConfigured: (settings) => settings.llmProvider === provider.id
+            && (!provider.keyRequired || Boolean(settings[getLlmKeySetting(provider.id)])),
+        buildRequest: (settings) => buildModelsRequest(resolveLlmConfig({ ...settings, llmProvider: provider.id }))
+    }));
+
+    const imageTests = getImageProviders()
+        .filter(provider => provider.keySetting && provider.buildTestRequest)
+        .map(provider => ({
+            settingKey: provider.keySetting,
+            name: provider.name,
+            isConfigured: (settings) => Boolean(settings[provider.keySetting]),
+            buildRequest: (settings) => provider.buildTestRequest(settings[provider.keySetting], settings)
+        }));
+
+    const weaveTest = {
+        settingKey: 'wandbApiKey',
+        name: 'Weave',
+        isConfigured: (settings) => Boolean(settings.wandbApiKey && settings.wandbTeam),
+        buildRequest: (settings) => buildConnectionTestRequest(`${settings.wandbTeam}/${settings.weaveProject}`, settings.wandbApiKey)
+    };
+
+    return [...llmTests, ...imageTests, weaveTest];
+}
+
+/**
+ * Tests a service with the given settings, which may not be saved yet
+ * @param {Object} test - A test from getConnectionTests()
+ * @param {Object} settings - Setting values, e.g. read from the options form
+ * @returns {Promise<{ok: boolean, kind?: string, status?: number, message: string}>}
+ */
+async function testConnection(test, settings) {
+    if (!test.isConfigured(settings)) {
+        return { ok: false, kind: 'missing', message: `${test.name} is not configured` };
+    }
+    return runTestRequest(test.buildRequest(settings));
+}
+
+export { getConnectionTests, testConnection };
@@ -0,0 +1,146 @@
+// craftScraper.js
+// Reads what Infinite Craft shows about the board: each element's name, emoji and "First Discovery" marker, how many
+// elements the player has discovered (the sidebar), and which two elements were combined into which result.
+// Loaded before elementIcons.js, which uses readElementNode(), and nealFunContentScript.js, which calls scrapeBoard()
+// and recordCrafts() and sends getCraftLog().
+
+// Infinite Craft's markup; kept together so a redesign of the page only needs changing here
+const PAGE_SELECTORS = {
+    instance: '.instance',
+    sidebar: '#sidebar',
+    sidebarItem: '#sidebar .item',
+    emoji: '.instance-emoji, .item-emoji',
+    // Shown on elements nobody had crafted before
+    discoveredMarker: '.instance-discovered-text, .instance-discovered-emoji',
+    discoveredItem: '.item-discovered'
+};
+
+// Crafts seen on the board, oldest first, sent with every update so the scene can build on the newest discovery
+const MAX_CRAFT_LOG = 20;
+// A craft removes its two ingredients and adds the result at once; removals older than this are a cleared board or
+// elements dragged away
+const CRAFT_WINDOW_MS = 1000;
+// The result appears where the player dropped one ingredient on the other. Both must have been removed within this
+// distance of it, so elements cleared or dragged away elsewhere aren't taken for ingredients.
+const CRAFT_DISTANCE_PX = 120;
+let craftLog = [];
+let recentRemovals = [];
+
+/**
+ * Reads an element of the board or the sidebar
+ * @param {Element} node - A .instance or sidebar .item
+ * @returns {{text: string, emoji: string, discovered: boolean}} - text is the name without the emoji or markers
+ */
+function readElementNode(node) {
+    const decorations = `${PAGE_SELECTORS.emoji}, ${PAGE_SELECTORS.discoveredMarker}`;
+    const text = [...node.childNodes]
+        .filter(child => child.nodeType === Node.TEXT_NODE
+            || (child.nodeType === Node.ELEMENT_NODE && !child.matches(decorations)))
+        .map(child => child.textContent)
+        .join('')
+        .trim();
+
+    return {
+        text,
+        emoji: node.querySelector(PAGE_SELECTORS.emoji)?.textContent.trim() || '',
+        discovered: node.matches(PAGE_SELECTORS.discoveredItem) || Boolean(node.querySelector(PAGE_SELECTORS.discoveredMarker))
+    };
+}
+
+/**
+ * Reads the elements on the board, once each, in page order. Elements being dragged are left out.
+ * @param {Element} container - The element holding the board instances
+ * @returns {{texts: Array<{id: string, text: string, emoji: string, discovered: boolean}>, sidebarCount: number}} -
+ *          sidebarCount is how many elements the player has discovered
+ */
+function scrapeBoard(container) {
+    // The marker only shows on a fresh instance; the sidebar remembers first discoveries for good
+    const discoveredNames = new Set();
+    const sidebarItems = document.querySelectorAll(PAGE_SELECTORS.sidebarItem);
+    for (const item of sidebarItems) {
+        if (item.matches(PAGE_SELECTORS.discoveredItem)) {
+            discoveredNames.add(readElementNode(item).text);
+        }
+    }
+
+    const texts = [];
+    const seenTexts = new Set();
+    for (const element of container.querySelectorAll(PAGE_SELECTORS.instance)) {
+        // Ignore elements being dragged if they have a specific class (often 'dragging' or similar)
+        if (element.classList.contains('dragging')) continue;
+
+        const { text, emoji, discovered } = readElementNode(element);
+        if (text && !seenTexts.has(text)) {
+            texts.push({ id: element.id, text, emoji, discovered: discovered || discoveredNames.has(text) });
+            seenTexts.add(text);
+        }
+    }
+    return { texts, sidebarCount: sidebarItems.length };
+}
+
+// Whether a mutated node is a board element
+function isInstanceNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.matches(PAGE_SELECTORS.instance);
+}
+
+/**
+ * Reads where an element sits on the board from its inline style, which a removed element still has.
+ * The game places elements with a translate, or with left and top.
+ * @param {Element} node - A .instance
+ * @returns {{x: number, y: number}|null} - null if the style doesn't say
+ */
+function readInstancePosition(node) {
+    const { translate = '', transform, left, top } = node.style;
+    const transformArgs = transform.match(/translate(?:3d)?\(([^)]*)\)/)?.[1].replace(/,/g, ' ') || '';
+    const [x, y] = (translate || transformArgs).trim().split(/\s+/).map(parseFloat);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+        return { x, y };
+    }
+    return Number.isFinite(parseFloat(left)) && Number.isFinite(parseFloat(top))
+        ? { x: parseFloat(left), y: parseFloat(top) }
+        : null;
+}
+
+// The two recent removals dropped where a new element appeared, in removal order, or null if there aren't two
+function findIngredientRemovals(position) {
+    if (!position) return null;
+    const distance = removal => Math.hypot(removal.position.x - position.x, removal.position.y - position.y);
+    const nearby = recentRemovals
+        .filter(removal => removal.position && distance(removal) <= CRAFT_DISTANCE_PX)
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, 2);
+    return nearby.length === 2 ? nearby.sort((a, b) => recentRemovals.indexOf(a) - recentRemovals.indexOf(b)) : null;
+}
+
+/**
+ * Recognizes crafts in the board mutations: two elements removed, then the result added where they met
+ * @param {Array<MutationRecord>} mutations - From the board's MutationObserver
+ */
+function recordCrafts(mutations) {
+    const now = Date.now();
+    recentRemovals = recentRemovals.filter(removal => now - removal.time < CRAFT_WINDOW_MS);
+
+    for (const mutation of mutations) {
+        for (const node of mutation.removedNodes) {
+            if (isInstanceNode(node)) {
+                recentRemovals.push({ text: readElementNode(node).text, position: readInstancePosition(node), time: now });
+            }
+        }
+        for (const node of mutation.addedNodes) {
+            if (!isInstanceNode(node)) continue;
+            const removals = findIngredientRemovals(readInstancePosition(node));
+            if (!removals) continue;
+            recentRemovals = recentRemovals.filter(removal => !removals.includes(removal));
+            const ingredients = removals.map(removal => removal.text);
+            craftLog = [...craftLog, { ingredients, result: readElementNode(node).text }].slice(-MAX_CRAFT_LOG);
+        }
+    }
+}
+
+/**
+ * Returns the crafts seen on the board
+ * @returns {Array<{ingredients: Array<string>, result: string}>} - Oldest first, the last MAX_CRAFT_LOG of them
+ */
+function getCraftLog() {
+    return craftLog;
+}
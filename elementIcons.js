@@ -0,0 +1,143 @@
+// elementIcons.js
+// Shows a small generated icon before the name of every element, on the board and in the sidebar, when the
+// "elementIcons" setting is on. Asks the background for the icons it doesn't have, elements on screen first; the
+// background draws them a few at a time (see iconQueue.js) and sends each one back once it is ready.
+// Loaded after craftScraper.js, whose selectors and readElementNode() it uses, and before nealFunContentScript.js,
+// which turns the icons on and off and reports board changes.
+
+const ICON_CLASS = 'infinite-fun-icon';
+// Page changes and scrolling are collected for this long before the icons are refreshed
+const ICON_REFRESH_DELAY_MS = 300;
+
+let elementIconsEnabled = false;
+// Element name -> data URI of its icon
+const elementIconUrls = new Map();
+// Element name -> whether it was on screen when its icon was asked for. Elements asked for while off screen are
+// asked for again once they show up, so they move ahead in the queue.
+const requestedIcons = new Map();
+let iconRefreshTimer = null;
+
+// The sidebar changes when the player searches it or discovers an element
+const sidebarObserver = new MutationObserver(scheduleElementIconsRefresh);
+let watchedSidebar = null;
+
+// Whether part of a node is on screen
+function isOnScreen(node) {
+    const rect = node.getBoundingClientRect();
+    return rect.width > 0 && rect.bottom > 0 && rect.right > 0
+        && rect.top < window.innerHeight && rect.left < window.innerWidth;
+}
+
+// Puts an icon before the name of an element, or takes it away when url is empty
+function setNodeIcon(node, url) {
+    let icon = node.querySelector(`:scope > img.${ICON_CLASS}`);
+    if (!url) {
+        icon?.remove();
+        return;
+    }
+    if (!icon) {
+        icon = document.createElement('img');
+        icon.className = ICON_CLASS;
+        icon.alt = '';
+        icon.draggable = false;
+        // Clicks and drags go through to the element
+        icon.style.cssText = 'width: 1.6em; height: 1.6em; margin-right: 0.3em; border-radius: 4px; '
+            + 'object-fit: cover; vertical-align: middle; pointer-events: none;';
+        node.prepend(icon);
+    }
+    if (icon.getAttribute('src') !== url) {
+        icon.src = url;
+    }
+}
+
+// Starts following the sidebar once the page has rendered it, or again after it was replaced
+function watchSidebar() {
+    const sidebar = document.querySelector(PAGE_SELECTORS.sidebar);
+    if (!sidebar || sidebar === watchedSidebar) return;
+    sidebarObserver.disconnect();
+    sidebarObserver.observe(sidebar, { childList: true, subtree: true });
+    watchedSidebar = sidebar;
+}
+
+/**
+ * Shows the known icons and asks the background for the missing ones: those of every element on the board and of the
+ * sidebar elements on screen. The rest of the sidebar waits until the player scrolls to it, as it can hold thousands.
+ */
+function refreshElementIcons() {
+    const nodes = new Set([
+        ...document.querySelectorAll(PAGE_SELECTORS.instance),
+        ...document.querySelectorAll(PAGE_SELECTORS.sidebarItem)
+    ]);
+    const named = [];
+    const missing = new Map();
+
+    // The whole page is read before any icon is added, so the layout is only worked out once
+    for (const node of nodes) {
+        const { text, emoji } = readElementNode(node);
+        if (!text) continue;
+        named.push({ node, text });
+        if (!elementIconsEnabled || elementIconUrls.has(text) || requestedIcons.get(text) || missing.get(text)?.visible) {
+            continue;
+        }
+
+        const visible = isOnScreen(node);
+        if (!visible && (requestedIcons.has(text) || !node.matches(PAGE_SELECTORS.instance))) continue;
+        missing.set(text, { name: text, emoji, visible });
+    }
+
+    for (const { node, text } of named) {
+        setNodeIcon(node, elementIconsEnabled ? elementIconUrls.get(text) : null);
+    }
+
+    if (missing.size > 0) {
+        for (const element of missing.values()) {
+            requestedIcons.set(element.name, element.visible);
+        }
+        chrome.runtime.sendMessage({ action: 'requestIcons', elements: [...missing.values()] });
+    }
+    if (elementIconsEnabled) {
+        watchSidebar();
+    }
+}
+
+// Refreshes the icons once the page has settled
+function scheduleElementIconsRefresh() {
+    if (!elementIconsEnabled || iconRefreshTimer) return;
+    iconRefreshTimer = setTimeout(() => {
+        iconRefreshTimer = null;
+        refreshElementIcons();
+    }, ICON_REFRESH_DELAY_MS);
+}
+
+/**
+ * Asks again for every missing icon, e.g. those that couldn't be drawn with the previous icon model
+ */
+function retryElementIcons() {
+    requestedIcons.clear();
+    refreshElementIcons();
+}
+
+/**
+ * Turns the icons on or off
+ * @param {boolean} enabled - The "elementIcons" setting
+ */
+function setElementIconsEnabled(enabled) {
+    elementIconsEnabled = enabled;
+    // Icons that couldn't be drawn before (a missing key, a rejected prompt...) are asked for again
+    retryElementIcons();
+}
+
+/**
+ * Shows icons sent by the background
+ * @param {Object} icons - Element name -> data URI
+ */
+function applyElementIcons(icons) {
+    for (const [name, url] of Object.entries(icons)) {
+        elementIconUrls.set(name, url);
+    }
+    scheduleElementIconsRefresh();
+}
+
+// Scroll events don't bubble, so they are caught on their way down to the sidebar
+document.addEventListener('scroll', scheduleElementIconsRefresh, { capture: true, passive: true });
+window.addEventListener('resize', scheduleElementIconsRefresh);
@@ -0,0 +1,180 @@
+// errors.js
+// Typed pipeline errors. LLM and image requests throw a PipelineError with a kind (auth, rate_limit, safety, timeout,
+// quota, network, unknown) so the background can tell the player what went wrong, in the page and in the popup,
+// instead of only turning the badge red.
+
+const ERROR_KINDS = {
+    auth: { title: 'API key rejected', hint: 'Check the key on the Options page.' },
+    rate_limit: { title: 'Rate limited', hint: 'Too many requests. Wait a moment and retry.' },
+    safety: { title: 'Blocked by the safety filter', hint: 'The provider refused this scene. Retry or craft something else.' },
+    timeout: { title: 'Timed out', hint: 'The service took too long to answer.' },
+    quota: { title: 'Out of credits', hint: 'Top up your account with the provider.' },
+    network: { title: 'Network error', hint: 'Could not reach the service. Check your connection.' },
+    unknown: { title: 'Generation failed', hint: '' }
+};
+
+// Errors the popup lists, kept in chrome.storage.local; older ones are dropped
+const RECENT_ERRORS_KEY = 'recentErrors';
+const MAX_RECENT_ERRORS = 10;
+
+// Provider messages that mean the safety filter stopped the request
+const SAFETY_PATTERN = /nsfw|safety|content policy|moderation|flagged/i;
+
+class PipelineError extends Error {
+    /**
+     * @param {string} kind - One of the ERROR_KINDS
+     * @param {string} message - What the service said
+     * @param {Object} details - { service: 'FAL', status: 429, retryAfterMs: 2000, cause: original error }
+     */
+    constructor(kind, message, { service = '', status = null, retryAfterMs = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'PipelineError';
+        this.kind = ERROR_KINDS[kind] ? kind : 'unknown';
+        this.service = service;
+        this.status = status;
+        // How long the server asked to wait before trying again (Retry-After), if it did
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get title() {
+        return ERROR_KINDS[this.kind].title;
+    }
+
+    get hint() {
+        return ERROR_KINDS[this.kind].hint;
+    }
+
+    // Plain object for chrome.storage and tab messages
+    toJSON() {
+        return {
+            kind: this.kind,
+            title: this.title,
+            hint: this.hint,
+            message: this.message,
+            service: this.service,
+            status: this.status
+        };
+    }
+}
+
+/**
+ * Pulls a short message out of an API error body, if there is one
+ * @param {Response} response - The failed response
+ * @returns {Promise<string>}
+ */
+async function readErrorDetail(response) {
+    const text = (await response.text().catch(() => '')).trim();
+    let detail = text;
+    try {
+        const data = JSON.parse(text);
+        detail = data.error?.message || data.detail || data.message || data.error || text;
+    } catch (e) {
+        // Not JSON, keep the raw text
+    }
+    if (typeof detail !== 'string') {
+        detail = JSON.stringify(detail);
+    }
+    return detail.length > 160 ? `${detail.slice(0, 160)}…` : detail;
+}
+
+// Reads a Retry-After header, given either in seconds or as an HTTP date
+function parseRetryAfter(response) {
+    const value = response.headers.get('retry-after');
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Kind of an HTTP error, from its status and what the body says
+function classifyHttpError(status, detail) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 402 || /insufficient_quota|quota|credit|balance/i.test(detail)) return 'quota';
+    if (status === 429) return 'rate_limit';
+    if (status === 408 || status === 504) return 'timeout';
+    if (SAFETY_PATTERN.test(detail)) return 'safety';
+    return 'unknown';
+}
+
+/**
+ * Builds the typed error for a failed API response
+ * @param {string} service - The service name shown to the player, e.g. 'FAL'
+ * @param {Response} response - The failed response
+ * @returns {Promise<PipelineError>}
+ */
+async function createHttpError(service, response) {
+    const detail = await readErrorDetail(response);
+    const kind = classifyHttpError(response.status, detail);
+    return new PipelineError(kind, `${service} API Error (${response.status}): ${detail || response.statusText}`, {
+        service,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response)
+    });
+}
+
+/**
+ * Turns anything thrown while generating into a PipelineError. Aborts are returned as they are,
+ * since a cancelled generation isn't a failure.
+ * @param {*} error - The thrown value
+ * @param {string} service - The service that was being called, if known
+ * @returns {PipelineError|Error}
+ */
+function toPipelineError(error, service = '') {
+    if (error instanceof PipelineError || error?.name === 'AbortError') {
+        return error;
+    }
+
+    const message = error?.message || String(error);
+    let kind = 'unknown';
+    if (error?.name === 'TimeoutError') {
+        kind = 'timeout';
+    } else if (error instanceof TypeError && /fetch|network/i.test(message)) {
+        // fetch() rejects with a TypeError when the server can't be reached
+        kind = 'network';
+    } else if (SAFETY_PATTERN.test(message)) {
+        kind = 'safety';
+    }
+    return new PipelineError(kind, message, { service, cause: error });
+}
+
+/**
+ * Adds an error to the list shown in the popup
+ * @param {PipelineError} error - The error
+ * @param {Object} context - Where it happened, e.g. { source: 'update', imageModel }
+ * @returns {Promise<void>}
+ */
+async function recordRecentError(error, context = {}) {
+    const { [RECENT_ERRORS_KEY]: recentErrors } = await chrome.storage.local.get({ [RECENT_ERRORS_KEY]: [] });
+    recentErrors.push({ ...error.toJSON(), ...context, at: Date.now() });
+    await chrome.storage.local.set({ [RECENT_ERRORS_KEY]: recentErrors.slice(-MAX_RECENT_ERRORS) });
+}
+
+/**
+ * Lists the recent errors, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function listRecentErrors() {
+    const { [RECENT_ERRORS_KEY]: recentErrors } = await chrome.storage.local.get({ [RECENT_ERRORS_KEY]: [] });
+    return recentErrors.reverse();
+}
+
+/**
+ * Forgets the recent errors
+ * @returns {Promise<void>}
+ */
+async function clearRecentErrors() {
+    await chrome.storage.local.remove(RECENT_ERRORS_KEY);
+}
+
+export {
+    ERROR_KINDS,
+    PipelineError,
+    readErrorDetail,
+    createHttpError,
+    toPipelineError,
+    recordRecentError,
+    listRecentErrors,
+    clearRecentErrors
+};
@@ -0,0 +1,307 @@
+// generationCache.js
+// Content-addressed IndexedDB cache of generated images and LLM prompts, so revisiting the same board or
+// regenerating the same scene doesn't pay the API twice. Entries are keyed by a SHA-256 of what produced them
+// (element icons by the element's name) and evicted least recently used first once the cache outgrows the
+// cacheMaxMB setting.
+
+import { bytesToBase64 } from './utils.js';
+
+const DB_NAME = 'infinite-fun-cache';
+const DB_VERSION = 2;
+const IMAGES_STORE = 'images';
+const PROMPTS_STORE = 'prompts';
+const ICONS_STORE = 'icons';
+const STORES = [IMAGES_STORE, PROMPTS_STORE, ICONS_STORE];
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and on first use creates) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Version 2 added the icons store
+                for (const storeName of STORES.filter(name => !db.objectStoreNames.contains(name))) {
+                    db.createObjectStore(storeName, { keyPath: 'key' }).createIndex('lastUsedAt', 'lastUsedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+// Runs a callback against an object store inside a transaction, resolving with its request's result
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return requestToPromise(callback(db.transaction(storeName, mode).objectStore(storeName)));
+}
+
+/**
+ * Hashes the parts that produced a cache entry into its key
+ * @param {Object} parts - Plain JSON values
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+async function hashCacheKey(parts) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(parts)));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Case and whitespace differences don't change what a prompt draws
+function normalizePrompt(prompt) {
+    return prompt.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Key of an image generated from a prompt
+ * @param {{prompt: string, modelId: string, seed: number|null, size: string|null, options: Object}} parts -
+ *        see getImageCacheParams() in apiHandler.js. A null seed matches any image of the prompt.
+ * @returns {Promise<string>}
+ */
+async function getImageCacheKey({ prompt, modelId, seed = null, size = null, options = {} }) {
+    return hashCacheKey({ prompt: normalizePrompt(prompt), modelId, seed, size, options });
+}
+
+/**
+ * Key of a prompt written for a board. The order elements were crafted in doesn't matter.
+ * @param {{elements: Array<string>, previousPrompt: string, llmProvider: string, llmModel: string, template: Object, delta: Object,
+ *        lineage: Array<Object>, discoveredCount: number|null, legendary: boolean}} parts -
+ *        template is the prompt template used, so editing or switching templates writes new prompts;
+ *        delta is what changed since the previous scene (see boardDelta.js), which the prompt focuses on;
+ *        the rest are the other board details the template may use, see buildPromptMessages()
+ * @returns {Promise<string>}
+ */
+async function getPromptCacheKey({
+    elements,
+    previousPrompt = '',
+    llmProvider,
+    llmModel,
+    template = null,
+    delta = null,
+    lineage = [],
+    discoveredCount = null,
+    legendary = true
+}) {
+    return hashCacheKey({
+        elements: elements.map(element => element.toLowerCase()).sort(),
+        previousPrompt: normalizePrompt(previousPrompt),
+        llmProvider,
+        llmModel,
+        template: template && { style: template.style, system: template.system, user: template.user },
+        delta,
+        lineage,
+        discoveredCount,
+        legendary
+    });
+}
+
+// Reads an entry and marks it as just used
+async function touchEntry(storeName, key) {
+    const entry = await withStore(storeName, 'readonly', store => store.get(key));
+    if (!entry) return null;
+
+    entry.lastUsedAt = Date.now();
+    await withStore(storeName, 'readwrite', store => store.put(entry));
+    return entry;
+}
+
+/**
+ * Looks up a cached image
+ * @param {string} key - From getImageCacheKey()
+ * @returns {Promise<{url: string, base64: string, imageType: string, params: Object|null}|null>} - Shaped like a
+ *          provider image result, with the parameters the image was drawn with
+ */
+async function getCachedImage(key) {
+    const entry = await touchEntry(IMAGES_STORE, key);
+    if (!entry) return null;
+
+    const base64 = bytesToBase64(new Uint8Array(await entry.image.arrayBuffer()));
+    return { url: `data:image/${entry.imageType};base64,${base64}`, base64, imageType: entry.imageType, params: entry.params || null };
+}
+
+/**
+ * Caches an image, then evicts old entries beyond the size limit
+ * @param {string} key - From getImageCacheKey()
+ * @param {{bytes: Uint8Array, imageType: string}} imageData - The image, as loaded for the history
+ * @param {Object|null} params - The parameters it was drawn with, seed included
+ * @param {number} maxBytes - Size limit of the whole cache
+ * @returns {Promise<void>}
+ */
+async function putCachedImage(key, imageData, params, maxBytes) {
+    const now = Date.now();
+    await withStore(IMAGES_STORE, 'readwrite', store => store.put({
+        key,
+        image: new Blob([imageData.bytes], { type: `image/${imageData.imageType}` }),
+        imageType: imageData.imageType,
+        params,
+        size: imageData.bytes.length,
+        createdAt: now,
+        lastUsedAt: now
+    }));
+    await evictCache(maxBytes);
+}
+
+/**
+ * Looks up a cached LLM prompt
+ * @param {string} key - From getPromptCacheKey()
+ * @returns {Promise<{prompt: string, model: string, provider: string}|null>}
+ */
+async function getCachedPrompt(key) {
+    const entry = await touchEntry(PROMPTS_STORE, key);
+    return entry ? { prompt: entry.prompt, model: entry.model, provider: entry.provider } : null;
+}
+
+/**
+ * Caches an LLM prompt, then evicts old entries beyond the size limit
+ * @param {string} key - From getPromptCacheKey()
+ * @param {{prompt: string, model: string, provider: string}} llmResult - The LLM result
+ * @param {number} maxBytes - Size limit of the whole cache
+ * @returns {Promise<void>}
+ */
+async function putCachedPrompt(key, { prompt, model, provider }, maxBytes) {
+    const now = Date.now();
+    await withStore(PROMPTS_STORE, 'readwrite', store => store.put({
+        key,
+        prompt,
+        model,
+        provider,
+        // UTF-16, as the browser stores it
+        size: prompt.length * 2,
+        createdAt: now,
+        lastUsedAt: now
+    }));
+    await evictCache(maxBytes);
+}
+
+/**
+ * Looks up the icon of an element
+ * @param {string} name - The element name
+ * @returns {Promise<{url: string, imageType: string}|null>} - url is a data URI
+ */
+async function getCachedIcon(name) {
+    const entry = await touchEntry(ICONS_STORE, name);
+    if (!entry) return null;
+
+    const base64 = bytesToBase64(new Uint8Array(await entry.image.arrayBuffer()));
+    return { url: `data:image/${entry.imageType};base64,${base64}`, imageType: entry.imageType };
+}
+
+/**
+ * Caches the icon of an element, then evicts old entries beyond the size limit
+ * @param {string} name - The element name
+ * @param {{bytes: Uint8Array, imageType: string}} imageData - The icon
+ * @param {number} maxBytes - Size limit of the whole cache
+ * @returns {Promise<void>}
+ */
+async function putCachedIcon(name, imageData, maxBytes) {
+    const now = Date.now();
+    await withStore(ICONS_STORE, 'readwrite', store => store.put({
+        key: name,
+        image: new Blob([imageData.bytes], { type: `image/${imageData.imageType}` }),
+        imageType: imageData.imageType,
+        size: imageData.bytes.length,
+        createdAt: now,
+        lastUsedAt: now
+    }));
+    await evictCache(maxBytes);
+}
+
+// Size and last use of every entry, without loading the images
+async function listEntryInfos() {
+    const infos = [];
+    for (const storeName of STORES) {
+        const db = await openDatabase();
+        const index = db.transaction(storeName, 'readonly').objectStore(storeName).index('lastUsedAt');
+        await new Promise((resolve, reject) => {
+            const request = index.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                infos.push({ storeName, key: cursor.value.key, size: cursor.value.size, lastUsedAt: cursor.value.lastUsedAt });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return infos;
+}
+
+/**
+ * Deletes the least recently used entries until the cache fits in maxBytes
+ * @param {number} maxBytes - Size limit of the whole cache
+ * @returns {Promise<number>} - How many entries were deleted
+ */
+async function evictCache(maxBytes) {
+    const infos = (await listEntryInfos()).sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    let total = infos.reduce((sum, info) => sum + info.size, 0);
+
+    let evicted = 0;
+    for (const info of infos) {
+        if (total <= maxBytes) break;
+        await withStore(info.storeName, 'readwrite', store => store.delete(info.key));
+        total -= info.size;
+        evicted++;
+    }
+    if (evicted > 0) {
+        console.log(`[Cache] Evicted ${evicted} entries`);
+    }
+    return evicted;
+}
+
+/**
+ * Returns how much is cached
+ * @returns {Promise<{images: number, prompts: number, icons: number, bytes: number}>}
+ */
+async function getCacheStats() {
+    const infos = await listEntryInfos();
+    return {
+        images: infos.filter(info => info.storeName === IMAGES_STORE).length,
+        prompts: infos.filter(info => info.storeName === PROMPTS_STORE).length,
+        icons: infos.filter(info => info.storeName === ICONS_STORE).length,
+        bytes: infos.reduce((sum, info) => sum + info.size, 0)
+    };
+}
+
+/**
+ * Empties the cache
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    for (const storeName of STORES) {
+        await withStore(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+export {
+    getImageCacheKey,
+    getPromptCacheKey,
+    getCachedImage,
+    putCachedImage,
+    getCachedPrompt,
+    putCachedPrompt,
+    getCachedIcon,
+    putCachedIcon,
+    evictCache,
+    getCacheStats,
+    clearCache
+};
@@ -0,0 +1,262 @@
+// history.js
+import { listGenerations, deleteGeneration, listSessions, listSessionGenerations, deleteSession } from './historyStore.js';
+import { getImageModelOptions } from './apiHandler.js';
+import { getSettings, setSettings } from './settings.js';
+import { buildChapters, exportStorybookHtml, exportStoryZip } from './storybook.js';
+import { debounce } from './utils.js';
+
+const modelLabels = new Map(getImageModelOptions().map(option => [option.value, option.label]));
+
+// Object URLs of the rendered images, revoked on every re-render
+let objectUrls = [];
+
+// Shows a short status line above the gallery
+const showStatus = (text, color) => {
+    const status = document.getElementById('status-message');
+    status.textContent = text;
+    status.style.color = color;
+    setTimeout(() => {
+        status.textContent = '';
+    }, 3000);
+};
+
+// Formats the timing and token line of a history card
+const formatMeta = (entry) => {
+    const parts = [new Date(entry.createdAt).toLocaleString()];
+    parts.push(modelLabels.get(entry.imageModel) || entry.imageModel);
+    if (entry.llmModel) {
+        parts.push(`${entry.llmProvider}/${entry.llmModel}`);
+    }
+
+    const timings = [];
+    if (entry.timings.llm !== undefined) timings.push(`LLM ${entry.timings.llm}ms`);
+    timings.push(`Image ${entry.timings.imageGen}ms`);
+    timings.push(`Total ${entry.timings.total}ms`);
+    parts.push(timings.join(' · '));
+
+    if (entry.usage) {
+        parts.push(`${entry.usage.total_tokens} tokens`);
+    }
+    if (Number.isInteger(entry.imageParams?.seed)) {
+        parts.push(`Seed ${entry.imageParams.seed}`);
+    }
+    return parts.join(' | ');
+};
+
+// Locks the model of a generation to its seed, so regenerating its prompt draws the same image again
+const lockSeed = async (entry) => {
+    const { imageParams } = await getSettings(['imageParams']);
+    const { seed, steps, guidance, negativePrompt } = entry.imageParams;
+    const modelParams = { ...imageParams[entry.imageModel], seedLocked: true, seed };
+    // Steps and guidance change the image too; the aspect ratio is kept, as 'viewport' may have been resolved
+    for (const [name, value] of Object.entries({ steps, guidance, negativePrompt })) {
+        if (value !== undefined) modelParams[name] = value;
+    }
+
+    try {
+        await setSettings({ imageParams: { ...imageParams, [entry.imageModel]: modelParams } });
+        showStatus(`Seed ${seed} locked for ${modelLabels.get(entry.imageModel) || entry.imageModel}.`, 'green');
+    } catch (e) {
+        showStatus(e.message, '#b91c1c');
+    }
+};
+
+// Builds the card for one generation
+const renderCard = (entry) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const image = document.createElement('img');
+    const objectUrl = URL.createObjectURL(entry.image);
+    objectUrls.push(objectUrl);
+    image.src = objectUrl;
+    image.alt = entry.prompt;
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+
+    const prompt = document.createElement('p');
+    prompt.className = 'card-prompt';
+    prompt.textContent = entry.prompt;
+
+    const elements = document.createElement('div');
+    elements.className = 'card-elements';
+    for (const element of entry.elements) {
+        const chip = document.createElement('span');
+        chip.textContent = element;
+        elements.appendChild(chip);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+    meta.textContent = formatMeta(entry);
+
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+
+    const applyButton = document.createElement('button');
+    applyButton.className = 'apply-button';
+    applyButton.textContent = 'Set as background';
+    applyButton.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ action: 'applyHistoryEntry', id: entry.id });
+        if (response?.ok) {
+            showStatus('Background updated.', 'green');
+        } else {
+            showStatus(response?.error || 'Could not update the background.', '#b91c1c');
+        }
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+        await deleteGeneration(entry.id);
+        card.remove();
+        document.getElementById('empty-message').hidden = document.getElementById('gallery').childElementCount > 0;
+        refreshModelFilter();
+    });
+
+    actions.append(applyButton);
+    if (Number.isInteger(entry.imageParams?.seed)) {
+        const seedButton = document.createElement('button');
+        seedButton.className = 'seed-button';
+        seedButton.textContent = 'Lock seed';
+        seedButton.title = 'Draw this model\'s next images with the seed of this one';
+        seedButton.addEventListener('click', () => lockSeed(entry));
+        actions.appendChild(seedButton);
+    }
+    actions.appendChild(deleteButton);
+    body.append(prompt, elements, meta, actions);
+    card.append(image, body);
+    return card;
+};
+
+// Fills the model filter with every model that appears in the history
+const refreshModelFilter = async () => {
+    const select = document.getElementById('modelFilter');
+    const selected = select.value;
+    const models = new Set((await listGenerations()).map(entry => entry.imageModel));
+
+    select.length = 1;  // Keep "All models"
+    for (const model of models) {
+        select.add(new Option(modelLabels.get(model) || model, model));
+    }
+    select.value = models.has(selected) ? selected : '';
+};
+
+// Re-renders the gallery with the current search and filter
+const renderGallery = async () => {
+    const entries = await listGenerations({
+        query: document.getElementById('search').value,
+        imageModel: document.getElementById('modelFilter').value
+    });
+
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    objectUrls = [];
+
+    const gallery = document.getElementById('gallery');
+    gallery.replaceChildren(...entries.map(renderCard));
+    document.getElementById('empty-message').hidden = entries.length > 0;
+};
+
+// Turns a story title into a safe download file name
+const toFileName = (title, extension) => `${title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'story'}.${extension}`;
+
+// Saves a blob through a temporary download link
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Loads a story's chapters, reporting stories that have none
+const loadChapters = async (session) => {
+    const chapters = buildChapters(await listSessionGenerations(session.id));
+    if (chapters.length === 0) {
+        showStatus('This story has no chapters yet.', '#b91c1c');
+        return null;
+    }
+    return chapters;
+};
+
+// Builds the row for one story session
+const renderStory = (session, chapterCount) => {
+    const row = document.createElement('div');
+    row.className = 'story';
+
+    const info = document.createElement('div');
+    info.className = 'story-info';
+    const title = document.createElement('div');
+    title.className = 'story-title';
+    title.textContent = session.title;
+    const meta = document.createElement('div');
+    meta.className = 'story-meta';
+    meta.textContent = [
+        new Date(session.startedAt).toLocaleString(),
+        session.endedAt ? `${chapterCount} chapter${chapterCount === 1 ? '' : 's'}` : `Recording · ${chapterCount} so far`
+    ].join(' | ');
+    info.append(title, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'story-actions';
+
+    const htmlButton = document.createElement('button');
+    htmlButton.textContent = 'Export HTML';
+    htmlButton.addEventListener('click', async () => {
+        const chapters = await loadChapters(session);
+        if (!chapters) return;
+        downloadBlob(await exportStorybookHtml(session, chapters), toFileName(session.title, 'html'));
+    });
+
+    const zipButton = document.createElement('button');
+    zipButton.textContent = 'Export ZIP';
+    zipButton.addEventListener('click', async () => {
+        const chapters = await loadChapters(session);
+        if (!chapters) return;
+        downloadBlob(await exportStoryZip(session, chapters), toFileName(session.title, 'zip'));
+    });
+
+    const printButton = document.createElement('button');
+    printButton.textContent = 'Print / PDF';
+    printButton.addEventListener('click', async () => {
+        const chapters = await loadChapters(session);
+        if (!chapters) return;
+        // The storybook opens in its own tab so the browser's "Save as PDF" prints only the story
+        const url = URL.createObjectURL(await exportStorybookHtml(session, chapters));
+        const storyWindow = window.open(url);
+        storyWindow?.addEventListener('load', () => storyWindow.print());
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+        await deleteSession(session.id);
+        await renderStories();
+    });
+
+    actions.append(htmlButton, zipButton, printButton, deleteButton);
+    row.append(info, actions);
+    return row;
+};
+
+// Lists the recorded story sessions above the gallery
+const renderStories = async () => {
+    const sessions = await listSessions();
+    const rows = await Promise.all(sessions.map(async session =>
+        renderStory(session, (await listSessionGenerations(session.id)).length)));
+
+    document.getElementById('story-list').replaceChildren(...rows);
+    document.getElementById('stories').hidden = sessions.length === 0;
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await renderStories();
+    await refreshModelFilter();
+    await renderGallery();
+});
+document.getElementById('search').addEventListener('input', debounce(renderGallery, 200));
+document.getElementById('modelFilter').addEventListener('change', renderGallery);
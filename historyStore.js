@@ -0,0 +1,218 @@
+// historyStore.js
+// IndexedDB store of every generation: written by the background pipeline, browsed on the history page.
+// Story sessions mark a range of generations that can be exported as a storybook.
+
+const DB_NAME = 'infinite-fun-history';
+const DB_VERSION = 2;
+const GENERATIONS_STORE = 'generations';
+const SESSIONS_STORE = 'sessions';
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} - The request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and on first use creates) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const store = db.createObjectStore(GENERATIONS_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                    store.createIndex('imageModel', 'imageModel');
+                }
+                if (event.oldVersion < 2) {
+                    request.transaction.objectStore(GENERATIONS_STORE).createIndex('sessionId', 'sessionId');
+                    db.createObjectStore(SESSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a callback against an object store inside a transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store and returns an IDBRequest
+ * @param {string} storeName - The object store to use
+ * @returns {Promise<any>} - The request result
+ */
+async function withStore(mode, callback, storeName = GENERATIONS_STORE) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    return requestToPromise(callback(transaction.objectStore(storeName)));
+}
+
+/**
+ * Saves a generation to the history
+ * @param {Object} entry - { source, elements, prompt, previousPrompt, imageModel, llmProvider, llmModel,
+ *                           image (Blob), imageType, imageUrl, timings, usage, sessionId?, comparisonId? }
+ * @returns {Promise<number>} - The id of the new entry
+ */
+async function addGeneration(entry) {
+    return withStore('readwrite', store => store.add({ ...entry, createdAt: Date.now() }));
+}
+
+/**
+ * Loads a single generation
+ * @param {number} id - The entry id
+ * @returns {Promise<Object|undefined>}
+ */
+async function getGeneration(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Lists generations, newest first, optionally filtered
+ * @param {Object} filters - { query: text to find in the prompt or elements, imageModel: exact model id }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listGenerations({ query = '', imageModel = '' } = {}) {
+    const entries = await withStore('readonly', store => store.index('createdAt').getAll());
+    const needle = query.trim().toLowerCase();
+
+    return entries
+        .filter(entry => !imageModel || entry.imageModel === imageModel)
+        .filter(entry => !needle ||
+            entry.prompt.toLowerCase().includes(needle) ||
+            entry.elements.some(element => element.toLowerCase().includes(needle)))
+        .reverse();
+}
+
+/**
+ * Deletes a generation
+ * @param {number} id - The entry id
+ * @returns {Promise<void>}
+ */
+async function deleteGeneration(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Moves a story chapter to another generation, e.g. from the comparison image saved as the chapter to the one the
+ * player voted for. Nothing changes if the first generation isn't a chapter.
+ * @param {number} fromId - The generation that is the chapter
+ * @param {number} toId - The generation that becomes the chapter instead
+ * @returns {Promise<void>}
+ */
+async function moveChapter(fromId, toId) {
+    // Read and written in one transaction, so two moves can't overwrite each other
+    const db = await openDatabase();
+    const transaction = db.transaction(GENERATIONS_STORE, 'readwrite');
+    const store = transaction.objectStore(GENERATIONS_STORE);
+    const fromRequest = store.get(fromId);
+    const toRequest = store.get(toId);
+    // Requests of a transaction complete in order, so both entries are read by then
+    toRequest.onsuccess = () => {
+        const from = fromRequest.result;
+        const to = toRequest.result;
+        if (!from?.sessionId || !to) return;
+
+        const { sessionId, ...withoutSession } = from;
+        store.put(withoutSession);
+        store.put({ ...to, sessionId });
+    };
+
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Lists the generations recorded during a story session, oldest first
+ * @param {number} sessionId - The session id
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessionGenerations(sessionId) {
+    const entries = await withStore('readonly', store => store.index('sessionId').getAll(sessionId));
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Returns the story session that is currently recording, if any
+ * @returns {Promise<Object|null>} - { id, title, startedAt, endedAt: null }
+ */
+async function getActiveSession() {
+    const sessions = await withStore('readonly', store => store.getAll(), SESSIONS_STORE);
+    return sessions.find(session => !session.endedAt) || null;
+}
+
+/**
+ * Starts recording a new story session, ending any session that is still active
+ * @param {string} title - The story title
+ * @returns {Promise<Object>} - The new session
+ */
+async function startSession(title) {
+    await endSession();
+    const session = { title: title || `Story of ${new Date().toLocaleString()}`, startedAt: Date.now(), endedAt: null };
+    session.id = await withStore('readwrite', store => store.add(session), SESSIONS_STORE);
+    return session;
+}
+
+/**
+ * Ends the active story session
+ * @returns {Promise<Object|null>} - The ended session, or null if none was active
+ */
+async function endSession() {
+    const session = await getActiveSession();
+    if (!session) return null;
+
+    session.endedAt = Date.now();
+    await withStore('readwrite', store => store.put(session), SESSIONS_STORE);
+    return session;
+}
+
+/**
+ * Lists every story session, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessions() {
+    const sessions = await withStore('readonly', store => store.getAll(), SESSIONS_STORE);
+    return sessions.reverse();
+}
+
+/**
+ * Deletes a story session. Its generations stay in the history.
+ * @param {number} id - The session id
+ * @returns {Promise<void>}
+ */
+async function deleteSession(id) {
+    return withStore('readwrite', store => store.delete(id), SESSIONS_STORE);
+}
+
+export {
+    addGeneration,
+    getGeneration,
+    listGenerations,
+    deleteGeneration,
+    moveChapter,
+    listSessionGenerations,
+    getActiveSession,
+    startSession,
+    endSession,
+    listSessions,
+    deleteSession
+};
@@ -0,0 +1,87 @@
+// iconQueue.js
+// Queue of element icons to draw. Icons are drawn a few at a time, with a minimum interval between batches, so a board
+// full of new elements doesn't flood the image provider. Elements the player can see are drawn first, then the most
+// recently requested ones.
+
+/**
+ * Creates an icon queue
+ * @param {Object} options
+ * @param {Function} options.draw - async (item) => void. Draws one icon; item is { name, emoji, requesters }, where
+ *                                  requesters is the Set of tab ids that asked for it.
+ * @param {number} [options.batchSize] - How many icons are drawn at once
+ * @param {Function} [options.getMinIntervalMs] - () => number. Minimum time between two batch starts.
+ * @returns {{request: Function, forget: Function}}
+ */
+function createIconQueue({ draw, batchSize = 3, getMinIntervalMs = () => 0 }) {
+    // name -> { name, emoji, visible, requestedAt, requesters }
+    const pending = new Map();
+    // name -> item, for the icons being drawn
+    const drawing = new Map();
+    let timer = null;
+    let lastStart = 0;
+
+    // Visible elements first, then the most recently requested
+    const byPriority = (a, b) => (b.visible - a.visible) || (b.requestedAt - a.requestedAt);
+
+    // Starts the next batch, once the previous one is done and the minimum interval has passed
+    const startNext = () => {
+        if (drawing.size > 0 || pending.size === 0 || timer) return;
+
+        const wait = lastStart + getMinIntervalMs() - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                startNext();
+            }, wait);
+            return;
+        }
+
+        const batch = [...pending.values()].sort(byPriority).slice(0, batchSize);
+        for (const item of batch) {
+            pending.delete(item.name);
+            drawing.set(item.name, item);
+        }
+        lastStart = Date.now();
+
+        Promise.all(batch.map(item => Promise.resolve()
+            .then(() => draw(item))
+            .catch(error => console.error(`[Icons] Drawing ${item.name} failed:`, error))
+            .finally(() => drawing.delete(item.name))))
+            .then(startNext);
+    };
+
+    /**
+     * Queues icons, or raises the priority of the ones already waiting
+     * @param {*} requester - Who the icons are for (a tab id)
+     * @param {Array<{name: string, emoji: string, visible: boolean}>} elements - Elements without an icon
+     */
+    const request = (requester, elements) => {
+        const now = Date.now();
+        for (const { name, emoji = '', visible = false } of elements) {
+            const known = drawing.get(name) || pending.get(name);
+            if (known) {
+                known.requesters.add(requester);
+                known.visible = known.visible || visible;
+                known.requestedAt = now;
+            } else {
+                pending.set(name, { name, emoji, visible, requestedAt: now, requesters: new Set([requester]) });
+            }
+        }
+        startNext();
+    };
+
+    /**
+     * Drops a requester (a closed tab), and the waiting icons nobody else asked for
+     * @param {*} requester - The requester to drop
+     */
+    const forget = (requester) => {
+        for (const item of [...pending.values(), ...drawing.values()]) {
+            item.requesters.delete(requester);
+            if (item.requesters.size === 0) pending.delete(item.name);
+        }
+    };
+
+    return { request, forget };
+}
+
+export { createIconQueue };
@@ -0,0 +1,151 @@
+// imageParams.js
+// Generation parameters of the image models: seed, aspect ratio, negative prompt, steps and guidance.
+// Each model lists the parameters it supports in its `params` capability schema, with its own bounds and defaults.
+// The player's values are stored per model in the imageParams setting and checked against that schema.
+
+/**
+ * Every parameter a model can support. A model's capability entry may narrow min/max and set a default.
+ * Models that only draw a fixed list of aspect ratios list them as values; the others take any width and height.
+ * aspectRatio also accepts 'viewport': the ratio of the Infinite Craft window, or the closest one the model offers.
+ */
+const IMAGE_PARAMETERS = {
+    seed: { label: 'Seed', type: 'number', min: 0, max: 2147483647, integer: true },
+    aspectRatio: { label: 'Aspect ratio', type: 'enum', values: ['1:1', '4:3', '3:2', '16:9', '21:9', '3:4', '2:3', '9:16'] },
+    negativePrompt: { label: 'Negative prompt', type: 'string' },
+    steps: { label: 'Steps', type: 'number', min: 1, max: 150, integer: true },
+    guidance: { label: 'Guidance scale', type: 'number', min: 0, max: 30 }
+};
+
+// The ratio every model drew before aspect ratios were configurable
+const DEFAULT_ASPECT_RATIO = '4:3';
+
+/**
+ * Returns the parameters a model supports, with the model's bounds applied
+ * @param {Object} model - A model entry of an image provider
+ * @returns {Object} - Parameter name -> { label, type, min, max, values, default, integer }
+ */
+function getModelParamSchema(model) {
+    const schema = {};
+    for (const [name, capability] of Object.entries(model.params || {})) {
+        schema[name] = { ...IMAGE_PARAMETERS[name], ...capability };
+    }
+    return schema;
+}
+
+/**
+ * Checks a model's stored parameter values against its capability schema. Missing values use the model default.
+ * @param {Object} model - A model entry of an image provider
+ * @param {Object} values - { seedLocked, seed, aspectRatio, negativePrompt, steps, guidance }, all optional
+ * @throws {Error} - If the model doesn't support a parameter, or a value is out of bounds
+ */
+function validateImageParams(model, values) {
+    const schema = getModelParamSchema(model);
+
+    for (const [name, value] of Object.entries(values)) {
+        if (name === 'seedLocked') {
+            if (typeof value !== 'boolean') throw new Error(`${model.label}: seed lock must be on or off`);
+            if (value && !schema.seed) throw new Error(`${model.label} does not support seeds`);
+            continue;
+        }
+
+        const param = IMAGE_PARAMETERS[name];
+        if (!param) throw new Error(`${model.label}: unknown parameter "${name}"`);
+        if (!schema[name]) throw new Error(`${model.label} does not support ${param.label.toLowerCase()}`);
+
+        const { label, type, min, max, integer, values: allowed } = schema[name];
+        if (type === 'number') {
+            if (typeof value !== 'number' || Number.isNaN(value)) throw new Error(`${model.label}: ${label} must be a number`);
+            if (integer && !Number.isInteger(value)) throw new Error(`${model.label}: ${label} must be a whole number`);
+            if (value < min || value > max) throw new Error(`${model.label}: ${label} must be between ${min} and ${max}`);
+        } else if (type === 'enum') {
+            if (value !== 'viewport' && !allowed.includes(value)) {
+                throw new Error(`${model.label}: ${label} must be one of ${allowed.join(', ')}`);
+            }
+        } else if (typeof value !== 'string') {
+            throw new Error(`${model.label}: ${label} must be text`);
+        }
+    }
+}
+
+/**
+ * Parses a 'W:H' aspect ratio
+ * @param {string} aspectRatio - e.g. '16:9'
+ * @returns {number} - Width / height
+ */
+function parseAspectRatio(aspectRatio) {
+    const [width, height] = aspectRatio.split(':').map(Number);
+    return width / height;
+}
+
+// Picks the aspect ratio to draw with. 'viewport' becomes the window's ratio for models that take any width and
+// height, or the closest of the ratios offered by models with a fixed list (choices).
+function resolveAspectRatio(requested, choices, viewport) {
+    if (requested !== 'viewport') return requested;
+
+    const ratio = viewport ? viewport.width / viewport.height : parseAspectRatio(DEFAULT_ASPECT_RATIO);
+    if (!choices) {
+        return `${ratio.toFixed(3)}:1`;
+    }
+    // Compared on a log scale, so 2:1 is as far from 1:1 as 1:2 is
+    const distance = (value) => Math.abs(Math.log(parseAspectRatio(value) / ratio));
+    return choices.reduce((closest, value) => distance(value) < distance(closest) ? value : closest);
+}
+
+/**
+ * Turns a model's stored parameter values into the parameters of a request. Only supported parameters are included.
+ * The seed is null unless locked; runImageRequest() picks a random one, so the seed used is always known.
+ * @param {Object} model - A model entry of an image provider
+ * @param {Object} values - The model's stored values, see validateImageParams()
+ * @param {{width: number, height: number}|null} viewport - Size of the Infinite Craft window, if known
+ * @returns {{seed?: number|null, aspectRatio?: string, negativePrompt?: string, steps?: number, guidance?: number}}
+ */
+function resolveImageParams(model, values = {}, viewport = null) {
+    const schema = getModelParamSchema(model);
+    const params = {};
+
+    for (const [name, capability] of Object.entries(schema)) {
+        if (name === 'seed') {
+            params.seed = values.seedLocked && values.seed !== undefined ? values.seed : null;
+        } else if (name === 'aspectRatio') {
+            const requested = values.aspectRatio || capability.default || DEFAULT_ASPECT_RATIO;
+            params.aspectRatio = resolveAspectRatio(requested, model.params.aspectRatio.values || null, viewport);
+        } else if (values[name] !== undefined) {
+            params[name] = values[name];
+        } else if (capability.default !== undefined) {
+            params[name] = capability.default;
+        }
+    }
+    return params;
+}
+
+/**
+ * Picks a random seed
+ * @returns {number}
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * IMAGE_PARAMETERS.seed.max);
+}
+
+/**
+ * Returns the width and height of an image with the given aspect ratio and pixel count
+ * @param {string} aspectRatio - e.g. '16:9', or '1.778:1' for a viewport ratio
+ * @param {number} megapixels - Target size in millions of pixels
+ * @returns {{width: number, height: number}} - Multiples of 16, as most diffusion models require
+ */
+function getImageDimensions(aspectRatio, megapixels = 1) {
+    const ratio = parseAspectRatio(aspectRatio);
+    const height = Math.sqrt(megapixels * 1024 * 1024 / ratio);
+    return {
+        width: Math.round(height * ratio / 16) * 16,
+        height: Math.round(height / 16) * 16
+    };
+}
+
+export {
+    IMAGE_PARAMETERS,
+    getModelParamSchema,
+    validateImageParams,
+    resolveImageParams,
+    randomSeed,
+    getImageDimensions
+};
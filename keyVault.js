@@ -0,0 +1,180 @@
+// keyVault.js
+// Stores API keys in chrome.storage.local, so they stay on this device instead of syncing to every signed-in browser.
+// Keys can optionally be encrypted with a passphrase (PBKDF2 -> AES-GCM). The derived key is kept in
+// chrome.storage.session once unlocked, so the passphrase is asked once per browser session.
+
+import { bytesToBase64, base64ToBytes } from './utils.js';
+
+// chrome.storage.local: every secret as a plain object, or once encrypted an envelope
+// { salt, iterations, iv, data }. A single key, so readers never see half of a change.
+const SECRETS_KEY = 'secrets';
+// chrome.storage.session: the raw AES key while unlocked
+const SESSION_KEY = 'keyVaultKey';
+
+const PBKDF2_ITERATIONS = 310000;
+
+// Derives the AES-GCM key from the passphrase. Extractable so it can be kept in chrome.storage.session.
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypts the secrets into a new envelope, keeping the salt the key was derived with
+async function encrypt(key, secrets, salt, iterations) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+    return { salt, iterations, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+function isEnvelope(stored) {
+    return typeof stored?.data === 'string' && typeof stored?.salt === 'string';
+}
+
+async function getStoredSecrets() {
+    const { [SECRETS_KEY]: stored = {} } = await chrome.storage.local.get(SECRETS_KEY);
+    return stored;
+}
+
+// Fails if the key doesn't match, since AES-GCM authenticates the data
+async function decrypt(key, envelope) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+        key,
+        base64ToBytes(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+// Returns the unlocked key of this browser session, or null
+async function getSessionKey() {
+    const { [SESSION_KEY]: rawKey } = await chrome.storage.session.get(SESSION_KEY);
+    if (!rawKey) return null;
+    return crypto.subtle.importKey('raw', base64ToBytes(rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function setSessionKey(key) {
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ [SESSION_KEY]: bytesToBase64(rawKey) });
+}
+
+/**
+ * Tells whether the keys are encrypted, and if so whether they are unlocked for this browser session
+ * @returns {Promise<string>} - 'disabled', 'locked' or 'unlocked'
+ */
+async function getVaultStatus() {
+    if (!isEnvelope(await getStoredSecrets())) return 'disabled';
+    return (await getSessionKey()) ? 'unlocked' : 'locked';
+}
+
+/**
+ * Reads every stored secret
+ * @returns {Promise<Object|null>} - Setting key -> value, or null while the vault is locked
+ */
+async function readSecrets() {
+    const stored = await getStoredSecrets();
+    if (!isEnvelope(stored)) return stored;
+
+    const key = await getSessionKey();
+    return key ? decrypt(key, stored) : null;
+}
+
+/**
+ * Saves secrets, merged into the ones already stored
+ * @param {Object} values - Setting key -> value
+ * @returns {Promise<void>}
+ * @throws {Error} - If the vault is locked
+ */
+async function writeSecrets(values) {
+    const stored = await getStoredSecrets();
+    if (!isEnvelope(stored)) {
+        await chrome.storage.local.set({ [SECRETS_KEY]: { ...stored, ...values } });
+        return;
+    }
+
+    const key = await getSessionKey();
+    if (!key) {
+        throw new Error('Unlock your API keys to change them');
+    }
+    const updated = { ...(await decrypt(key, stored)), ...values };
+    await chrome.storage.local.set({ [SECRETS_KEY]: await encrypt(key, updated, stored.salt, stored.iterations) });
+}
+
+/**
+ * Encrypts the stored secrets with a passphrase, and unlocks them for this browser session
+ * @param {string} passphrase - The passphrase to ask for on the next browser session
+ * @returns {Promise<void>}
+ */
+async function enableVault(passphrase) {
+    if (!passphrase) {
+        throw new Error('Enter a passphrase');
+    }
+    if ((await getVaultStatus()) !== 'disabled') {
+        throw new Error('API keys are already encrypted');
+    }
+
+    const secrets = await readSecrets();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    // Unlocked before the envelope is written, so readers never see it without its key
+    await setSessionKey(key);
+    await chrome.storage.local.set({ [SECRETS_KEY]: await encrypt(key, secrets, bytesToBase64(salt), PBKDF2_ITERATIONS) });
+}
+
+/**
+ * Unlocks the encrypted secrets for this browser session
+ * @param {string} passphrase - The passphrase the vault was enabled with
+ * @returns {Promise<void>}
+ * @throws {Error} - If the passphrase is wrong
+ */
+async function unlockVault(passphrase) {
+    const envelope = await getStoredSecrets();
+    if (!isEnvelope(envelope)) return;
+
+    const key = await deriveKey(passphrase, base64ToBytes(envelope.salt), envelope.iterations);
+    try {
+        await decrypt(key, envelope);
+    } catch (e) {
+        throw new Error('Wrong passphrase');
+    }
+    await setSessionKey(key);
+}
+
+/**
+ * Forgets the unlocked key; the passphrase is needed again to use the API keys
+ * @returns {Promise<void>}
+ */
+async function lockVault() {
+    await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Stores the secrets unencrypted again. The vault must be unlocked.
+ * @returns {Promise<void>}
+ */
+async function disableVault() {
+    const secrets = await readSecrets();
+    if (!secrets) {
+        throw new Error('Unlock your API keys first');
+    }
+
+    await chrome.storage.local.set({ [SECRETS_KEY]: secrets });
+    await lockVault();
+}
+
+export {
+    SECRETS_KEY,
+    getVaultStatus,
+    readSecrets,
+    writeSecrets,
+    enableVault,
+    unlockVault,
+    lockVault,
+    disableVault
+};
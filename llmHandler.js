@@ -1,82 +1,456 @@
 // llmHandler.js
+// This file is responsible for generating image prompts with a configurable chat LLM backend
+
+import { registerSettings, getSettingDefaults } from './settings.js';
+import { PipelineError, createHttpError, toPipelineError } from './errors.js';
+import { withRetry } from './retryPolicy.js';
+import { BUILTIN_TEMPLATES, buildPromptMessages } from './promptTemplates.js';
 
 /**
- * Generates a creative image prompt based on the provided texts using OpenAI's API.
- * @param {Array} texts - Array of text objects extracted from the page.
- * @param {string} apiKey - OpenAI API Key.
- * @param {string} model - OpenAI model to use.
- * @param {string} previousPrompt - The previously generated prompt to maintain story continuity.
- * @returns {Promise<string>} - The generated image prompt.
+ * Supported chat backends. Each provider stores its own key and base URL in settings.
+ * - format: 'openai' for /chat/completions compatible APIs, 'anthropic' for the messages API
+ * - keyRequired: false for local servers that accept unauthenticated requests
+ * - streamUsage: true if the API needs stream_options.include_usage to report usage while streaming
  */
-async function generatePromptFromTexts(texts, apiKey, model = 'gpt-oss-120b', previousPrompt = '') {
-    if (!apiKey) {
-        throw new Error('API Key is missing.');
+const LLM_PROVIDERS = {
+    cerebras: {
+        id: 'cerebras',
+        name: 'Cerebras',
+        format: 'openai',
+        defaultBaseUrl: 'https://api.cerebras.ai/v1',
+        defaultModel: 'gpt-oss-120b',
+        keyPlaceholder: 'csk-...',
+        keyRequired: true,
+        maxTokens: 65536,
+        extraBody: { reasoning_effort: 'medium' }
+    },
+    openai: {
+        id: 'openai',
+        name: 'OpenAI',
+        format: 'openai',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        keyPlaceholder: 'sk-...',
+        keyRequired: true,
+        maxTokens: 4096,
+        maxTokensField: 'max_completion_tokens',
+        streamUsage: true
+    },
+    groq: {
+        id: 'groq',
+        name: 'Groq',
+        format: 'openai',
+        defaultBaseUrl: 'https://api.groq.com/openai/v1',
+        defaultModel: 'llama-3.3-70b-versatile',
+        keyPlaceholder: 'gsk_...',
+        keyRequired: true,
+        maxTokens: 4096,
+        streamUsage: true
+    },
+    openrouter: {
+        id: 'openrouter',
+        name: 'OpenRouter',
+        format: 'openai',
+        defaultBaseUrl: 'https://openrouter.ai/api/v1',
+        defaultModel: 'openai/gpt-4o-mini',
+        keyPlaceholder: 'sk-or-...',
+        keyRequired: true,
+        maxTokens: 4096,
+        streamUsage: true,
+        extraHeaders: { 'X-Title': 'Infinite Fun' }
+    },
+    anthropic: {
+        id: 'anthropic',
+        name: 'Anthropic',
+        format: 'anthropic',
+        defaultBaseUrl: 'https://api.anthropic.com/v1',
+        defaultModel: 'claude-3-5-haiku-latest',
+        keyPlaceholder: 'sk-ant-...',
+        keyRequired: true,
+        maxTokens: 1024
+    },
+    local: {
+        id: 'local',
+        name: 'Local (Ollama / llama.cpp)',
+        format: 'openai',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        defaultModel: 'llama3.2',
+        keyPlaceholder: 'optional',
+        keyRequired: false,
+        maxTokens: 4096
     }
+};
+
+const DEFAULT_LLM_PROVIDER = 'cerebras';
+
+/**
+ * Returns the settings key holding a provider's API key, e.g. 'groqApiKey'
+ * @param {string} providerId - The LLM provider id
+ * @returns {string}
+ */
+function getLlmKeySetting(providerId) {
+    return `${providerId}ApiKey`;
+}
+
+/**
+ * Returns the settings key holding a provider's base URL, e.g. 'groqBaseUrl'
+ * @param {string} providerId - The LLM provider id
+ * @returns {string}
+ */
+function getLlmBaseUrlSetting(providerId) {
+    return `${providerId}BaseUrl`;
+}
 
-    const itemsList = texts.map(t => t.text).join(', ');
-    
-    const systemPrompt = `You are a Master Visual Storyteller. Your task is to create a vivid, hyper-realistic, cinematic, 8k resolution image prompt based on a list of items provided by the user.
-    
-    The items are from the game "Infinite Craft". 
-    
-    CRITICAL INSTRUCTION: You must treat this as a continuous visual story. 
-    If a "Previous Scene Description" is provided, you MUST evolve that scene to incorporate the new items. 
-    Do not start from scratch unless the new items are completely incompatible.
-    
-    Output: A concise, 2-3 sentence image prompt. Focus on the most important visual elements. Do not use JSON.
-
-    Examples:
-    1. "A massive stone golem rises from a lake of molten lava, its body cracking with glowing veins of magma. Ash falls like snow around it, settling on the dark basalt cliffs that surround the fiery pit."
-    2. "A futuristic city built into the branches of a giant world-tree, with glass walkways connecting the leaves. Hovercars zip between the branches, their lights leaving trails against the twilight sky."
-    3. "An astronaut stands on the surface of a purple moon, looking up at a ringed gas giant that dominates the horizon. Crystalline structures jut out of the ground, reflecting the pale light of a distant star."`;
-
-    let userPrompt = `Current Items: ${itemsList}`;
-    if (previousPrompt) {
-        userPrompt += `\n\nPrevious Scene Description: ${previousPrompt}\n\nInstruction: Evolve the previous scene with the new items. Keep it concise (2-3 sentences).`;
-    } else {
-        userPrompt += `\n\nInstruction: Create a new fantasy scene based on these items. Keep it concise (2-3 sentences).`;
+// Settings schema of the LLM provider choice, model, and every provider's key and base URL
+const llmSettingsSchema = {
+    llmProvider: { type: 'enum', values: Object.keys(LLM_PROVIDERS), default: DEFAULT_LLM_PROVIDER },
+    llmModel: { type: 'string', default: '' }  // Empty means the provider's default model
+};
+for (const provider of Object.values(LLM_PROVIDERS)) {
+    llmSettingsSchema[getLlmKeySetting(provider.id)] = { type: 'string', default: '', secret: true };
+    llmSettingsSchema[getLlmBaseUrlSetting(provider.id)] = { type: 'string', default: provider.defaultBaseUrl };
+}
+registerSettings(llmSettingsSchema);
+
+/**
+ * Returns the defaults of every LLM setting
+ * @returns {Object} - e.g. { llmProvider: 'cerebras', llmModel: '', cerebrasApiKey: '', cerebrasBaseUrl: '...', ... }
+ */
+function getLlmSettingDefaults() {
+    return getSettingDefaults(Object.keys(llmSettingsSchema));
+}
+
+/**
+ * Picks the active provider's key, base URL and model out of the stored settings
+ * @param {Object} settings - Settings containing the values from getLlmSettingDefaults()
+ * @returns {{provider: Object, apiKey: string, baseUrl: string, model: string}}
+ */
+function resolveLlmConfig(settings) {
+    const provider = LLM_PROVIDERS[settings.llmProvider];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${settings.llmProvider}`);
     }
 
-    try {
-        const response = await fetch('https://api.cerebras.ai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
+    const baseUrl = settings[getLlmBaseUrlSetting(provider.id)] || provider.defaultBaseUrl;
+    return {
+        provider,
+        apiKey: settings[getLlmKeySetting(provider.id)] || '',
+        baseUrl: baseUrl.replace(/\/+$/, ''),
+        model: settings.llmModel || provider.defaultModel
+    };
+}
+
+/**
+ * Returns the headers that authenticate a request to the provider's API
+ * @param {Object} provider - The LLM provider
+ * @param {string} apiKey - The provider API key, may be empty for local servers
+ * @returns {Object}
+ */
+function buildAuthHeaders(provider, apiKey) {
+    if (provider.format === 'anthropic') {
+        return {
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01',
+            // Required for requests that come from a browser context
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    const headers = { ...provider.extraHeaders };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+/**
+ * Builds a request listing the provider's models: authenticated, but free and fast, so it is used to check keys
+ * @param {Object} config - The resolved LLM config
+ * @returns {{url: string, headers: Object}}
+ */
+function buildModelsRequest(config) {
+    return {
+        url: `${config.baseUrl}/models`,
+        headers: buildAuthHeaders(config.provider, config.apiKey)
+    };
+}
+
+/**
+ * Builds the HTTP request for the provider's chat API
+ * @param {Object} config - The resolved LLM config
+ * @param {string} systemPrompt - The system instructions
+ * @param {string} userPrompt - The user message
+ * @param {boolean} stream - Whether to request a server-sent events stream
+ * @returns {{url: string, headers: Object, body: Object}}
+ */
+function buildChatRequest(config, systemPrompt, userPrompt, stream = false) {
+    const { provider, apiKey, baseUrl, model } = config;
+    const headers = {
+        'Content-Type': 'application/json',
+        ...buildAuthHeaders(provider, apiKey)
+    };
+
+    if (provider.format === 'anthropic') {
+        return {
+            url: `${baseUrl}/messages`,
+            headers,
+            body: {
                 model: model,
+                system: systemPrompt,
                 messages: [
-                    { role: 'system', content: systemPrompt },
                     { role: 'user', content: userPrompt }
                 ],
-                max_tokens: 65536,
+                max_tokens: provider.maxTokens,
                 temperature: 1,
-                top_p: 1,
-                reasoning_effort: "medium",
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`OpenAI API Error: ${errorData.error?.message || response.statusText}`);
+                stream: stream
+            }
+        };
+    }
+
+    const body = {
+        model: model,
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ],
+        [provider.maxTokensField || 'max_tokens']: provider.maxTokens,
+        temperature: 1,
+        top_p: 1,
+        stream: stream,
+        ...provider.extraBody
+    };
+    if (stream && provider.streamUsage) {
+        body.stream_options = { include_usage: true };
+    }
+
+    return {
+        url: `${baseUrl}/chat/completions`,
+        headers,
+        body
+    };
+}
+
+/**
+ * Normalizes provider usage reports to OpenAI-style usage
+ * @param {Object} provider - The LLM provider definition
+ * @param {Object} usage - The raw usage object from the response or stream
+ * @returns {Object|null} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+function normalizeUsage(provider, usage) {
+    if (!usage) return null;
+
+    const promptTokens = provider.format === 'anthropic' ? usage.input_tokens : usage.prompt_tokens;
+    const completionTokens = provider.format === 'anthropic' ? usage.output_tokens : usage.completion_tokens;
+
+    // Some local servers omit total_tokens
+    return {
+        prompt_tokens: promptTokens || 0,
+        completion_tokens: completionTokens || 0,
+        total_tokens: usage.total_tokens || (promptTokens || 0) + (completionTokens || 0)
+    };
+}
+
+/**
+ * Converts a provider response into prompt text and OpenAI-style usage
+ * @param {Object} provider - The LLM provider definition
+ * @param {Object} data - The parsed response body
+ * @returns {{text: string, usage: Object|null}} - usage is { prompt_tokens, completion_tokens, total_tokens }
+ */
+function parseChatResponse(provider, data) {
+    if (provider.format === 'anthropic') {
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return { text, usage: normalizeUsage(provider, data.usage) };
+    }
+
+    return {
+        text: data.choices[0].message.content,
+        usage: normalizeUsage(provider, data.usage)
+    };
+}
+
+/**
+ * Yields the parsed JSON payload of every `data:` line in a server-sent events response
+ * @param {Response} response - A streaming fetch response
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();  // Keep the incomplete last line for the next chunk
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return;
+            try {
+                yield JSON.parse(payload);
+            } catch (e) {
+                console.warn('Skipping malformed stream chunk:', payload);
+            }
+        }
+    }
+}
+
+/**
+ * Reads a streamed chat completion, reporting the accumulated text as it grows
+ * @param {Object} provider - The LLM provider definition
+ * @param {Response} response - The streaming fetch response
+ * @param {Function} onDelta - Called with the full text so far after every new fragment
+ * @param {number} startTime - Request start, used to measure time-to-first-token
+ * @returns {Promise<{text: string, usage: Object|null, timeToFirstToken: number|null}>}
+ */
+async function readChatStream(provider, response, onDelta, startTime) {
+    let text = '';
+    let rawUsage = null;
+    let timeToFirstToken = null;
+
+    for await (const event of readServerSentEvents(response)) {
+        let fragment = '';
+
+        if (provider.format === 'anthropic') {
+            if (event.type === 'message_start') {
+                rawUsage = { ...event.message?.usage };
+            } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                fragment = event.delta.text;
+            } else if (event.type === 'message_delta' && event.usage) {
+                rawUsage = { ...rawUsage, ...event.usage };
+            } else if (event.type === 'error') {
+                const kind = event.error?.type === 'overloaded_error' || event.error?.type === 'rate_limit_error' ? 'rate_limit' : 'unknown';
+                throw new PipelineError(kind, `${provider.name} API Error: ${event.error?.message}`, { service: provider.name });
+            }
+        } else {
+            fragment = event.choices?.[0]?.delta?.content || '';
+            if (event.usage) {
+                rawUsage = event.usage;
+            }
+        }
+
+        if (fragment) {
+            if (timeToFirstToken === null) {
+                timeToFirstToken = Date.now() - startTime;
+            }
+            text += fragment;
+            onDelta?.(text);
+        }
+    }
+
+    return { text, usage: normalizeUsage(provider, rawUsage), timeToFirstToken };
+}
+
+/**
+ * Renders the chat messages the LLM gets for a board, as they are sent
+ * @param {Array} texts - Array of text objects extracted from the page.
+ * @param {string} previousPrompt - The previously generated prompt.
+ * @param {Object} options - { template, delta, lineage, discoveredCount, legendary }, see generatePromptFromTexts()
+ * @returns {Array<{role: string, content: string}>} - The system message, then the user message
+ */
+function buildLlmMessages(texts, previousPrompt = '', options = {}) {
+    const { systemPrompt, userPrompt } = buildPromptMessages(options.template || BUILTIN_TEMPLATES[0], {
+        elements: texts,
+        delta: options.delta,
+        previousPrompt,
+        lineage: options.lineage,
+        discoveredCount: options.discoveredCount,
+        legendary: options.legendary
+    });
+    return [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+    ];
+}
+
+/**
+ * Generates a creative image prompt based on the provided texts using the configured LLM provider.
+ * @param {Array} texts - Array of text objects extracted from the page.
+ * @param {Object} config - LLM config from resolveLlmConfig().
+ * @param {string} previousPrompt - The previously generated prompt to maintain story continuity.
+ * @param {Object} options - { stream: boolean, onDelta: (textSoFar) => void } to stream the prompt as it is written,
+ *                           { signal: AbortSignal } to cancel the request,
+ *                           { template } the prompt template, from resolvePromptTemplate(); the storyteller by default,
+ *                           { delta } what changed on the board since the previous scene, see computeBoardDelta(),
+ *                           { lineage, discoveredCount, legendary } see buildPromptMessages()
+ * @returns {Promise<{prompt: string, model: string, provider: string, templateId: string, messages: Array<Object>,
+ *          usage: Object|null, timeToFirstToken: number|null}>} - messages are what the LLM was sent, see buildLlmMessages()
+ */
+async function generatePromptFromTexts(texts, config, previousPrompt = '', options = {}) {
+    const { provider } = config;
+    if (provider.keyRequired && !config.apiKey) {
+        throw new PipelineError('auth', `${provider.name} API Key is missing.`, { service: provider.name });
+    }
+
+    const template = options.template || BUILTIN_TEMPLATES[0];
+    const messages = buildLlmMessages(texts, previousPrompt, options);
+    const [{ content: systemPrompt }, { content: userPrompt }] = messages;
+
+    try {
+        const stream = Boolean(options.stream);
+        const request = buildChatRequest(config, systemPrompt, userPrompt, stream);
+        let startTime;
+        // Only getting the response is retried: once a stream has started, its text has been shown already
+        const response = await withRetry(async () => {
+            startTime = Date.now();
+            const attemptResponse = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: options.signal
+            }).catch(error => {
+                throw toPipelineError(error, provider.name);
+            });
+
+            if (!attemptResponse.ok) {
+                throw await createHttpError(provider.name, attemptResponse);
+            }
+            return attemptResponse;
+        }, { label: provider.name, signal: options.signal });
+
+        let text, usage, timeToFirstToken = null;
+        if (stream) {
+            ({ text, usage, timeToFirstToken } = await readChatStream(provider, response, options.onDelta, startTime));
+        } else {
+            ({ text, usage } = parseChatResponse(provider, await response.json()));
         }
 
-        const data = await response.json();
-        const promptText = data.choices[0].message.content.trim();
-        
         // Return both the prompt and usage data for tracing
         return {
-            prompt: promptText,
-            model: model,
-            usage: data.usage || null  // { prompt_tokens, completion_tokens, total_tokens }
+            prompt: text.trim(),
+            model: config.model,
+            provider: provider.id,
+            templateId: template.id,
+            messages: messages,
+            usage: usage,  // { prompt_tokens, completion_tokens, total_tokens }
+            timeToFirstToken: timeToFirstToken
         };
 
     } catch (error) {
-        console.error('Error generating prompt from LLM:', error);
-        throw error;
+        if (error.name !== 'AbortError') {
+            console.error('Error generating prompt from LLM:', error);
+        }
+        throw toPipelineError(error, provider.name);
     }
 }
 
-export { generatePromptFromTexts };
+export {
+    LLM_PROVIDERS,
+    DEFAULT_LLM_PROVIDER,
+    getLlmKeySetting,
+    getLlmBaseUrlSetting,
+    getLlmSettingDefaults,
+    resolveLlmConfig,
+    buildModelsRequest,
+    buildLlmMessages,
+    generatePromptFromTexts
+};
@@ -30,23 +30,8 @@ function extractAndSendNewTexts() {
       }
   }
 
-  const instanceElements = itemsContainer.querySelectorAll('.instance');
-  const texts = [];
-  const seenTexts = new Set();
-  
-  // Sort elements by position or just collect them. 
-  // Since order matters for the prompt, we should probably keep them in DOM order.
-  instanceElements.forEach(element => {
-    // Ignore elements being dragged if they have a specific class (often 'dragging' or similar)
-    if (element.classList.contains('dragging')) return;
-
-    const id = element.id;
-    const text = element.textContent.trim();
-    if (!seenTexts.has(text)) {
-      texts.push({ id, text });
-      seenTexts.add(text);
-    }
-  });
+  // Names, emojis and "First Discovery" markers of the board elements, see craftScraper.js
+  const { texts, sidebarCount } = scrapeBoard(itemsContainer);
 
   // Check if texts have changed
   const currentTextsJson = JSON.stringify(texts.map(t => t.text).sort());
@@ -60,7 +45,9 @@ function extractAndSendNewTexts() {
   //make sure that the items exist in the dom actually
   console.log('Infinite Fun Extension: Items changed, sending update:', texts);
   // Send the extracted texts to the background script
-  sendMessageToBackground({ action: 'updateTexts', texts });
+  // The window size lets images be drawn in its aspect ratio
+  const viewport = { width: window.innerWidth, height: window.innerHeight };
+  sendMessageToBackground({ action: 'updateTexts', texts, viewport, crafts: getCraftLog(), sidebarCount });
 }
 
 
@@ -74,13 +61,67 @@ function debounce(func, wait) {
   };
 }
 
-const debouncedExtractAndSendNewTexts = debounce(extractAndSendNewTexts, 1000); // 1000 ms debounce time
+// Board changes are collected for half the monitor frequency before being sent; the background
+// then starts a new scene at most once per monitor frequency
+let debouncedExtractAndSendNewTexts = debounce(extractAndSendNewTexts, 1000);
+
+// How board elements are marked in the prompt overlay (the "emphasisStyle" setting)
+let emphasisStyle = 'bold';
+
+// Applies the settings that were read or changed; others are left as they are
+function applySettings({
+  monitorFrequency,
+  emphasisStyle: newEmphasisStyle,
+  backgroundFit,
+  backgroundDim,
+  backgroundBlur,
+  backgroundExcludeSidebar,
+  backgroundAnimation,
+  kenBurnsSpeed,
+  elementIcons,
+  iconModel
+}) {
+  if (monitorFrequency !== undefined) {
+    debouncedExtractAndSendNewTexts = debounce(extractAndSendNewTexts, monitorFrequency / 2);
+  }
+  if (newEmphasisStyle !== undefined) {
+    emphasisStyle = newEmphasisStyle;
+  }
+  if (elementIcons !== undefined) {
+    setElementIconsEnabled(elementIcons);
+  } else if (iconModel !== undefined) {
+    // Icons the previous model couldn't draw may work with the new one
+    retryElementIcons();
+  }
+  setBackgroundOptions({
+    fit: backgroundFit,
+    dim: backgroundDim,
+    blur: backgroundBlur,
+    excludeSidebar: backgroundExcludeSidebar,
+    animation: backgroundAnimation,
+    animationSpeed: kenBurnsSpeed
+  });
+}
+
+// Content scripts can't be modules, so the shared settings module is loaded with a dynamic import
+import(chrome.runtime.getURL('settings.js')).then(async ({ getSettings, subscribeSettings }) => {
+  const keys = [
+    'monitorFrequency', 'emphasisStyle',
+    'backgroundFit', 'backgroundDim', 'backgroundBlur', 'backgroundExcludeSidebar', 'backgroundAnimation', 'kenBurnsSpeed',
+    'elementIcons', 'iconModel'
+  ];
+  applySettings(await getSettings(keys));
+  // Pick up changes from the options page without reloading the game
+  subscribeSettings(keys, applySettings);
+}).catch(e => console.error('Failed to load settings:', e));
 
 // Observer to monitor changes in the .instances div
 const observer = new MutationObserver((mutations) => {
+  recordCrafts(mutations);
   mutations.forEach((mutation) => {
     if (mutation.type === 'childList') {
       debouncedExtractAndSendNewTexts();
+      scheduleElementIconsRefresh();
     }
   });
 });
@@ -139,24 +180,84 @@ if (document.readyState === 'loading') {
   startObserving();
 }
 
-// Listen for messages from the background script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'updateBackground') {
-    console.log('Infinite Fun Extension: Received background update', request.imageUrl.substring(0, 50) + '...');
-    
-    // Update the background of the page with the received image
-    const imageUrl = `url("${request.imageUrl}")`;
-    
+// Returns the prompt overlay, creating it on first use
+function getPromptDiv() {
+    let promptDiv = document.getElementById('infinite-fun-prompt');
+    if (!promptDiv) {
+        promptDiv = document.createElement('div');
+        promptDiv.id = 'infinite-fun-prompt';
+        promptDiv.style.position = 'fixed';
+        promptDiv.style.bottom = '20px';
+        promptDiv.style.left = '50%';
+        promptDiv.style.transform = 'translateX(-50%)';
+        promptDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        promptDiv.style.color = 'white';
+        promptDiv.style.padding = '10px 20px';
+        promptDiv.style.borderRadius = '5px';
+        promptDiv.style.zIndex = '10000';
+        promptDiv.style.maxWidth = '80%';
+        promptDiv.style.textAlign = 'center';
+        promptDiv.style.fontFamily = 'sans-serif';
+        promptDiv.style.fontSize = '14px';
+        promptDiv.style.pointerEvents = 'auto'; // Enable clicks
+        promptDiv.style.cursor = 'pointer';
+        promptDiv.style.transition = 'opacity 0.3s';
+
+        // Toggle opacity on click
+        promptDiv.onclick = () => {
+            if (promptDiv.style.opacity === '0.1') {
+                promptDiv.style.opacity = '1';
+            } else {
+                promptDiv.style.opacity = '0.1';
+            }
+        };
+
+        document.body.appendChild(promptDiv);
+    }
+    return promptDiv;
+}
+
+// Builds the timing line shown under the prompt. Regenerations have no LLM step.
+// Steps served from the generation cache are marked as such.
+function formatStats(stats) {
+    const parts = [];
+    if (stats.llm !== undefined) {
+        if (stats.cache?.prompt) {
+            parts.push(`LLM: cached (${stats.llm}ms)`);
+        } else {
+            parts.push(stats.ttft ? `LLM: ${stats.llm}ms (first token ${stats.ttft}ms)` : `LLM: ${stats.llm}ms`);
+        }
+    }
+    parts.push(stats.cache?.image ? `Image Gen: cached (${stats.imageGen}ms)` : `Image Gen: ${stats.imageGen}ms`);
+    parts.push(`Total: ${stats.total}ms`);
+    return parts.join(' | ');
+}
+
+// Shows the prompt while the LLM is still writing it
+function showPartialPrompt(prompt) {
+    const promptDiv = getPromptDiv();
+    promptDiv.textContent = `${prompt} ▍`;
+
+    const statusDiv = document.createElement('div');
+    statusDiv.style.fontSize = '10px';
+    statusDiv.style.marginTop = '5px';
+    statusDiv.style.opacity = '0.8';
+    statusDiv.textContent = 'Writing scene... image will follow';
+    promptDiv.appendChild(statusDiv);
+}
+
+// Shows a generated image as the page background, crossfading from the previous one (see backgroundLayers.js)
+function applyBackground(url) {
+    showBackgroundImage(url).then((shown) => {
+        if (shown) console.log('Infinite Fun Extension: Applied background');
+    });
+
+    // The layers sit behind the page, so whatever paints a background over them must let them show through
     try {
-        // Apply to body
-        document.body.style.backgroundImage = imageUrl;
-        document.body.style.backgroundSize = 'cover';
-        document.body.style.backgroundPosition = 'left center'; // Shift to left to avoid right sidebar
-        document.body.style.backgroundRepeat = 'no-repeat';
-        document.body.style.backgroundAttachment = 'fixed';
-        console.log('Infinite Fun Extension: Applied background to body');
+        document.body.style.backgroundColor = 'transparent';
+        document.body.style.backgroundImage = 'none';
     } catch (e) {
-        console.error('Infinite Fun Extension: Error applying to body', e);
+        console.error('Infinite Fun Extension: Error handling body', e);
     }
     
     // Try to make sidebar transparent
@@ -192,18 +293,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.error('Infinite Fun Extension: Error handling sidebar', e);
     }
     
-    // Also try to apply to the main container if it exists and covers the body
+    // Also clear the main container if it exists and covers the body
     try {
         const container = document.querySelector('.container');
         if (container) {
-            container.style.backgroundImage = imageUrl;
-            container.style.backgroundSize = 'cover';
-            container.style.backgroundPosition = 'center';
-            container.style.backgroundRepeat = 'no-repeat';
-            console.log('Infinite Fun Extension: Applied background to .container');
+            container.style.backgroundColor = 'transparent';
+            container.style.backgroundImage = 'none';
         }
     } catch (e) {
-        console.error('Infinite Fun Extension: Error applying to container', e);
+        console.error('Infinite Fun Extension: Error handling container', e);
     }
 
     // Make canvas transparent so background shows through
@@ -219,62 +317,85 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     } catch (e) {
         console.error('Infinite Fun Extension: Error handling canvas', e);
     }
+}
 
-    // Display the prompt
-    if (request.prompt) {
-        let promptDiv = document.getElementById('infinite-fun-prompt');
-        if (!promptDiv) {
-            promptDiv = document.createElement('div');
-            promptDiv.id = 'infinite-fun-prompt';
-            promptDiv.style.position = 'fixed';
-            promptDiv.style.bottom = '20px';
-            promptDiv.style.left = '50%';
-            promptDiv.style.transform = 'translateX(-50%)';
-            promptDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-            promptDiv.style.color = 'white';
-            promptDiv.style.padding = '10px 20px';
-            promptDiv.style.borderRadius = '5px';
-            promptDiv.style.zIndex = '10000';
-            promptDiv.style.maxWidth = '80%';
-            promptDiv.style.textAlign = 'center';
-            promptDiv.style.fontFamily = 'sans-serif';
-            promptDiv.style.fontSize = '14px';
-            promptDiv.style.fontSize = '14px';
-            promptDiv.style.pointerEvents = 'auto'; // Enable clicks
-            promptDiv.style.cursor = 'pointer';
-            promptDiv.style.transition = 'opacity 0.3s';
-            
-            // Toggle opacity on click
-            promptDiv.onclick = () => {
-                if (promptDiv.style.opacity === '0.1') {
-                    promptDiv.style.opacity = '1';
-                } else {
-                    promptDiv.style.opacity = '0.1';
-                }
-            };
+// Inline styles of each emphasisStyle option
+const EMPHASIS_STYLES = {
+    bold: { fontWeight: 'bold' },
+    italic: { fontStyle: 'italic' },
+    underline: { textDecoration: 'underline' },
+    highlight: { backgroundColor: 'rgba(255, 214, 0, 0.45)', borderRadius: '3px', padding: '0 2px' },
+    none: null
+};
+
+// Appends text to a node, wrapping every mention of a board element in a span styled with the emphasis style
+function appendEmphasizedText(parent, text, elements) {
+    const style = EMPHASIS_STYLES[emphasisStyle];
+    // Element texts start with their emoji (e.g. "💧 Water"), which the prompt never repeats
+    const names = elements
+        .map(element => element.replace(/^[^\p{L}\p{N}]+/u, ''))
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
 
-            document.body.appendChild(promptDiv);
+    if (!style || names.length === 0) {
+        parent.appendChild(document.createTextNode(text));
+        return;
+    }
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${names.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    text.split(pattern).forEach((part, index) => {
+        // split() puts the captured element names at the odd indexes
+        if (index % 2 === 1) {
+            const span = document.createElement('span');
+            span.className = 'infinite-fun-element';
+            Object.assign(span.style, style);
+            span.textContent = part;
+            parent.appendChild(span);
+        } else if (part) {
+            parent.appendChild(document.createTextNode(part));
         }
+    });
+}
+
+// Shows the prompt, and the timing line if there is one, in the overlay.
+// Board elements mentioned in the prompt are marked with the emphasis style.
+function showPrompt(prompt, stats, elements = []) {
+    // Display the prompt
+    if (prompt) {
+        const promptDiv = getPromptDiv();
+        promptDiv.replaceChildren();
+
         // Try to parse prompt as JSON for nicer display
+        let promptObj = null;
         try {
-            const promptObj = JSON.parse(request.prompt);
-            let html = '<div style="text-align: left; font-size: 12px;">';
+            promptObj = JSON.parse(prompt);
+        } catch (e) {
+            // Not JSON, displayed as text below
+        }
+
+        if (promptObj && typeof promptObj === 'object') {
+            const fields = document.createElement('div');
+            fields.style.textAlign = 'left';
+            fields.style.fontSize = '12px';
             for (const [key, value] of Object.entries(promptObj)) {
-                html += `<strong>${key}:</strong> ${value}<br>`;
+                const label = document.createElement('strong');
+                label.textContent = `${key}:`;
+                fields.append(label, ' ');
+                appendEmphasizedText(fields, String(value), elements);
+                fields.appendChild(document.createElement('br'));
             }
-            html += '</div>';
-            promptDiv.innerHTML = html;
-        } catch (e) {
-            // Not JSON or parse error, display as text
-            promptDiv.textContent = request.prompt;
+            promptDiv.appendChild(fields);
+        } else {
+            appendEmphasizedText(promptDiv, prompt, elements);
         }
         
-        if (request.stats) {
+        if (stats) {
             const statsDiv = document.createElement('div');
             statsDiv.style.fontSize = '10px';
             statsDiv.style.marginTop = '5px';
             statsDiv.style.opacity = '0.8';
-            statsDiv.textContent = `LLM: ${request.stats.llm}ms | Image Gen: ${request.stats.imageGen}ms | Total: ${request.stats.total}ms`;
+            statsDiv.textContent = formatStats(stats);
             promptDiv.appendChild(statsDiv);
         }
 
@@ -285,6 +406,222 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         //     promptDiv.style.opacity = '0';
         // }, 10000);
     }
+}
+
+// Shows the images of a comparison run side by side (or as a carousel) and lets the player vote for a winner.
+// The winner becomes the background; "Skip" uses the fastest image without voting.
+function showComparison(request) {
+    document.getElementById('infinite-fun-comparison')?.remove();
+    const succeeded = request.results.filter(result => !result.error);
+
+    const overlay = document.createElement('div');
+    overlay.id = 'infinite-fun-comparison';
+    overlay.style.position = 'fixed';
+    overlay.style.inset = '40px';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    overlay.style.color = 'white';
+    overlay.style.borderRadius = '10px';
+    overlay.style.zIndex = '10001';
+    overlay.style.padding = '16px';
+    overlay.style.display = 'flex';
+    overlay.style.flexDirection = 'column';
+    overlay.style.gap = '12px';
+    overlay.style.fontFamily = 'sans-serif';
+    overlay.style.fontSize = '14px';
+
+    const title = document.createElement('div');
+    title.style.textAlign = 'center';
+    title.textContent = 'Which image fits the scene best?';
+
+    const panels = document.createElement('div');
+    panels.style.flex = '1';
+    panels.style.display = 'flex';
+    panels.style.gap = '12px';
+    panels.style.minHeight = '0';
+
+    const choose = (result) => {
+        overlay.remove();
+        applyBackground(result.imageUrl);
+        showPrompt(request.prompt, { ...request.stats, imageGen: result.imageGen }, request.elements);
+    };
+
+    const panelElements = request.results.map(result => {
+        const panel = document.createElement('div');
+        panel.style.flex = '1';
+        panel.style.display = 'flex';
+        panel.style.flexDirection = 'column';
+        panel.style.gap = '8px';
+        panel.style.minWidth = '0';
+
+        const label = document.createElement('div');
+        label.style.fontWeight = 'bold';
+        label.textContent = result.error ? result.label : `${result.label} · ${result.imageGen}ms`;
+        panel.appendChild(label);
+
+        if (result.error) {
+            const error = document.createElement('div');
+            error.style.flex = '1';
+            error.style.color = '#f28b82';
+            error.textContent = `Failed: ${result.error}`;
+            panel.appendChild(error);
+            return panel;
+        }
+
+        const image = document.createElement('img');
+        image.src = result.imageUrl;
+        image.style.flex = '1';
+        image.style.minHeight = '0';
+        image.style.objectFit = 'contain';
+        image.style.borderRadius = '6px';
+
+        const voteButton = document.createElement('button');
+        voteButton.textContent = 'Pick this one';
+        voteButton.style.padding = '8px';
+        voteButton.style.border = 'none';
+        voteButton.style.borderRadius = '5px';
+        voteButton.style.backgroundColor = '#4285F4';
+        voteButton.style.color = 'white';
+        voteButton.style.cursor = 'pointer';
+        voteButton.onclick = () => {
+            sendMessageToBackground({
+                action: 'comparisonVote',
+                comparisonId: request.comparisonId,
+                callId: request.callId,
+                winner: result.model,
+                models: request.results.map(r => r.model),
+                prompt: request.prompt
+            });
+            choose(result);
+        };
+
+        panel.append(image, voteButton);
+        return panel;
+    });
+    panels.append(...panelElements);
+
+    const footer = document.createElement('div');
+    footer.style.display = 'flex';
+    footer.style.justifyContent = 'center';
+    footer.style.gap = '8px';
+
+    // Carousel: one model at a time with previous/next buttons
+    if (request.layout === 'carousel') {
+        let current = 0;
+        const showCurrent = () => {
+            panelElements.forEach((panel, index) => {
+                panel.style.display = index === current ? 'flex' : 'none';
+            });
+        };
+        const addNavButton = (text, step) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.onclick = () => {
+                current = (current + step + panelElements.length) % panelElements.length;
+                showCurrent();
+            };
+            footer.appendChild(button);
+        };
+        addNavButton('◀ Previous', -1);
+        addNavButton('Next ▶', 1);
+        showCurrent();
+    }
+
+    const skipButton = document.createElement('button');
+    skipButton.textContent = 'Skip vote';
+    skipButton.onclick = () => {
+        choose(succeeded.reduce((fastest, result) => result.imageGen < fastest.imageGen ? result : fastest));
+    };
+    footer.appendChild(skipButton);
+
+    overlay.append(title, panels, footer);
+    document.body.appendChild(overlay);
+}
+
+// Removes the error toast, e.g. once a new scene arrives
+function hideError() {
+    document.getElementById('infinite-fun-error')?.remove();
+}
+
+// Shows a failed generation as a dismissible toast just above the prompt overlay, with a button to retry it
+function showError(error) {
+    hideError();
+
+    const toast = document.createElement('div');
+    toast.id = 'infinite-fun-error';
+    toast.setAttribute('role', 'alert');
+    const promptDiv = document.getElementById('infinite-fun-prompt');
+    Object.assign(toast.style, {
+        position: 'fixed',
+        bottom: `${promptDiv ? promptDiv.offsetHeight + 30 : 20}px`,
+        left: '50%',
+        transform: 'translateX(-50%)',
+        maxWidth: '60%',
+        backgroundColor: 'rgba(153, 27, 27, 0.92)',
+        color: 'white',
+        padding: '10px 16px',
+        borderRadius: '5px',
+        zIndex: '10001',
+        fontFamily: 'sans-serif',
+        fontSize: '13px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px'
+    });
+
+    const text = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = error.service ? `${error.service}: ${error.title}` : error.title;
+    const detail = document.createElement('div');
+    detail.style.fontSize = '11px';
+    detail.style.opacity = '0.85';
+    detail.textContent = error.hint || error.message;
+    detail.title = error.message;
+    text.append(title, detail);
+
+    const buttonStyle = {
+        border: '1px solid rgba(255, 255, 255, 0.7)',
+        borderRadius: '4px',
+        background: 'transparent',
+        color: 'white',
+        cursor: 'pointer',
+        padding: '4px 10px',
+        fontSize: '12px'
+    };
+    const retryButton = document.createElement('button');
+    retryButton.textContent = 'Retry';
+    Object.assign(retryButton.style, buttonStyle);
+    retryButton.onclick = () => {
+        hideError();
+        sendMessageToBackground({ action: 'retryPipeline' });
+    };
+
+    const dismissButton = document.createElement('button');
+    dismissButton.textContent = '✕';
+    dismissButton.setAttribute('aria-label', 'Dismiss');
+    Object.assign(dismissButton.style, buttonStyle, { border: 'none' });
+    dismissButton.onclick = hideError;
+
+    toast.append(text, retryButton, dismissButton);
+    document.body.appendChild(toast);
+}
+
+// Listen for messages from the background script
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'promptDelta') {
+    showPartialPrompt(request.prompt);
+  } else if (request.action === 'updateBackground') {
+    console.log('Infinite Fun Extension: Received background update', request.imageUrl.substring(0, 50) + '...');
+    hideError();
+    applyBackground(request.imageUrl);
+    showPrompt(request.prompt, request.stats, request.elements);
+  } else if (request.action === 'updateBackgroundVideo') {
+    showBackgroundVideo(request.videoUrl, request.imageUrl);
+  } else if (request.action === 'showComparison') {
+    hideError();
+    showComparison(request);
+  } else if (request.action === 'showError') {
+    showError(request.error);
+  } else if (request.action === 'elementIcons') {
+    applyElementIcons(request.icons);
   }
 });
-
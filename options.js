@@ -1,80 +1,651 @@
 // options.js
+import {
+  getImageProviders,
+  getImageSettingDefaults,
+  getImageModelOptions,
+  getVideoModelOptions,
+  resolveImageModel
+} from './apiHandler.js';
+import { IMAGE_PARAMETERS, getModelParamSchema } from './imageParams.js';
+import { LLM_PROVIDERS, getLlmKeySetting, getLlmBaseUrlSetting, getLlmSettingDefaults } from './llmHandler.js';
+import { TEMPLATE_VARIABLES, listPromptTemplates, createTemplateId } from './promptTemplates.js';
+import { getSettings, setSettings, isSecretSetting } from './settings.js';
+import { getVaultStatus, enableVault, unlockVault, lockVault, disableVault } from './keyVault.js';
+import { getConnectionTests, testConnection } from './connectionTests.js';
+import { getCacheStats, clearCache } from './generationCache.js';
 
-// Saves options to chrome.storage
-const saveOptions = () => {
-  const monitorFrequency = document.getElementById('monitorFrequency').value;
-  const emphasisStyle = document.getElementById('emphasisStyle').value;
-  const openaiApiKey = document.getElementById('openaiApiKey').value;
-  const falApiKey = document.getElementById('falApiKey').value;
-  const replicateApiKey = document.getElementById('replicateApiKey').value;
-  const llmModel = document.getElementById('llmModel').value;
-  const wandbApiKey = document.getElementById('wandbApiKey').value;
-  const wandbTeam = document.getElementById('wandbTeam').value;
-  const weaveProject = document.getElementById('weaveProject').value;
-
-  chrome.storage.sync.set(
-    {
-      monitorFrequency: monitorFrequency,
-      emphasisStyle: emphasisStyle,
-      openaiApiKey: openaiApiKey,
-      falApiKey: falApiKey,
-      replicateApiKey: replicateApiKey,
-      llmModel: llmModel,
-      wandbApiKey: wandbApiKey,
-      wandbTeam: wandbTeam,
-      weaveProject: weaveProject
-    },
-    () => {
-      // Update status to let user know options were saved.
-      const status = document.createElement('div');
-      status.textContent = '✓ Options saved';
-      status.style.cssText = `
-        margin-top: 12px;
-        padding: 10px 16px;
-        background: #ecfdf5;
-        color: #047857;
-        border-radius: 8px;
-        font-size: 14px;
-        text-align: center;
-      `;
-      document.getElementById('optionsForm').appendChild(status);
-      setTimeout(() => {
-        status.remove();
-      }, 2000);
+// Creates a labelled form field for a provider setting
+const createField = (id, labelText, type, placeholder, hintText) => {
+  const group = document.createElement('div');
+  group.className = 'form-group';
+
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.textContent = labelText;
+
+  const input = document.createElement('input');
+  input.type = type;
+  input.id = id;
+  input.placeholder = placeholder || '';
+
+  const hint = document.createElement('small');
+  hint.textContent = hintText;
+
+  group.append(label, input, hint);
+  return group;
+};
+
+// Builds the key input and extra settings of each image provider from the registry
+const renderProviderSettingFields = () => {
+  const container = document.getElementById('image-provider-settings');
+  for (const provider of getImageProviders()) {
+    if (provider.keySetting) {
+      container.appendChild(createField(
+        provider.keySetting,
+        `${provider.name} API Key:`,
+        'password',
+        provider.keyPlaceholder,
+        `Required for generating images with ${provider.name}.`
+      ));
     }
-  );
+    for (const setting of provider.settings || []) {
+      container.appendChild(createField(setting.key, `${setting.label}:`, setting.type, String(setting.default), setting.hint));
+    }
+  }
+};
+
+// Builds the provider select and a key + base URL group per LLM provider
+const renderLlmProviderFields = () => {
+  const providerSelect = document.getElementById('llmProvider');
+  const container = document.getElementById('llm-provider-settings');
+
+  for (const provider of Object.values(LLM_PROVIDERS)) {
+    providerSelect.add(new Option(provider.name, provider.id));
+
+    const fields = document.createElement('div');
+    fields.dataset.provider = provider.id;
+    fields.append(
+      createField(
+        getLlmKeySetting(provider.id),
+        `${provider.name} API Key:`,
+        'password',
+        provider.keyPlaceholder,
+        provider.keyRequired ? 'Required for generating image prompts.' : 'Only needed if your server requires one.'
+      ),
+      createField(
+        getLlmBaseUrlSetting(provider.id),
+        `${provider.name} Base URL:`,
+        'text',
+        provider.defaultBaseUrl,
+        'Change this to use a proxy or a self-hosted endpoint.'
+      )
+    );
+    container.appendChild(fields);
+  }
+
+  providerSelect.addEventListener('change', showSelectedLlmProvider);
+};
+
+// Fills the image and icon model selects, and builds one checkbox per image model for comparison mode
+const renderImageModelFields = () => {
+  const modelSelect = document.getElementById('imageModel');
+  const iconModelSelect = document.getElementById('iconModel');
+  const container = document.getElementById('comparisonModels');
+  for (const option of getImageModelOptions()) {
+    modelSelect.add(new Option(option.label, option.value));
+    iconModelSelect.add(new Option(option.label, option.value));
+
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = option.value;
+
+    label.append(checkbox, option.label);
+    container.appendChild(label);
+  }
+};
+
+// Lists the image-to-video models of every provider in the background animation picker
+const renderVideoModelPicker = () => {
+  const select = document.getElementById('backgroundVideoModel');
+  for (const option of getVideoModelOptions()) {
+    select.add(new Option(option.label, option.value));
+  }
+};
+
+// Shows the fallback chain as an ordered list, each model with move up, move down and remove buttons
+const renderFallbackModels = (modelIds) => {
+  const labels = new Map(getImageModelOptions().map(option => [option.value, option.label]));
+  const list = document.getElementById('imageFallbackModels');
+  list.replaceChildren();
+
+  modelIds.forEach((modelId, index) => {
+    const item = document.createElement('li');
+    item.dataset.model = modelId;
+
+    const name = document.createElement('span');
+    name.textContent = labels.get(modelId) || modelId;
+
+    const moveTo = (target) => {
+      const reordered = [...modelIds];
+      reordered.splice(target, 0, ...reordered.splice(index, 1));
+      renderFallbackModels(reordered);
+    };
+    const buttons = [
+      ['↑', 'Move up', index > 0 && (() => moveTo(index - 1))],
+      ['↓', 'Move down', index < modelIds.length - 1 && (() => moveTo(index + 1))],
+      ['✕', 'Remove', () => renderFallbackModels(modelIds.filter(id => id !== modelId))]
+    ].map(([text, title, onClick]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary-button';
+      button.textContent = text;
+      button.title = title;
+      button.disabled = !onClick;
+      if (onClick) button.addEventListener('click', onClick);
+      return button;
+    });
+
+    item.append(name, ...buttons);
+    list.appendChild(item);
+  });
+};
+
+// Reads the fallback chain in the order shown
+const readFallbackModels = () => {
+  return [...document.querySelectorAll('#imageFallbackModels li')].map(item => item.dataset.model);
 };
 
-// Restores select box and checkbox state using the preferences
-// stored in chrome.storage.
-const restoreOptions = () => {
-  chrome.storage.sync.get(
-    { 
-      monitorFrequency: 5000, 
-      emphasisStyle: 'bold', 
-      openaiApiKey: '', 
-      falApiKey: '', 
-      replicateApiKey: '',
-      llmModel: 'gpt-4o-mini', 
-      wandbApiKey: '',
-      wandbTeam: '',
-      weaveProject: 'infinite-fun'
-    },
-    (items) => {
-      document.getElementById('monitorFrequency').value = items.monitorFrequency;
-      document.getElementById('emphasisStyle').value = items.emphasisStyle;
-      document.getElementById('openaiApiKey').value = items.openaiApiKey;
-      document.getElementById('falApiKey').value = items.falApiKey;
-      document.getElementById('replicateApiKey').value = items.replicateApiKey;
-      document.getElementById('llmModel').value = items.llmModel;
-      document.getElementById('wandbApiKey').value = items.wandbApiKey;
-      document.getElementById('wandbTeam').value = items.wandbTeam;
-      document.getElementById('weaveProject').value = items.weaveProject;
+// Fills the "add a fallback model" select, and appends the picked model to the chain
+const renderFallbackModelPicker = () => {
+  const picker = document.getElementById('add-fallback-model');
+  for (const option of getImageModelOptions()) {
+    picker.add(new Option(option.label, option.value));
+  }
+  picker.addEventListener('change', () => {
+    const modelIds = readFallbackModels();
+    if (picker.value && !modelIds.includes(picker.value)) {
+      renderFallbackModels([...modelIds, picker.value]);
     }
+    picker.value = '';
+  });
+};
+
+// Generation parameters of every model, edited one model at a time; saved with the other options
+let imageParamsDraft = {};
+let shownParamsModel = null;
+
+// Builds the controls of the parameters the model supports, filled with its stored values
+const renderImageParamFields = (modelId) => {
+  shownParamsModel = modelId;
+  const container = document.getElementById('image-param-fields');
+  container.replaceChildren();
+  const schema = getModelParamSchema(resolveImageModel(modelId).model);
+  const values = imageParamsDraft[modelId] || {};
+
+  if (Object.keys(schema).length === 0) {
+    const note = document.createElement('small');
+    note.textContent = 'This model has no adjustable parameters.';
+    container.appendChild(note);
+    return;
+  }
+
+  if (schema.seed) {
+    const lock = document.createElement('label');
+    lock.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = 'param-seedLocked';
+    checkbox.checked = Boolean(values.seedLocked);
+    lock.append(checkbox, 'Lock the seed');
+
+    const field = createField('param-seed', 'Seed:', 'number', 'Random',
+      'With the seed locked, the same prompt draws the same image. The history shows the seed of every image.');
+    field.insertBefore(lock, field.querySelector('small'));
+    container.appendChild(field);
+  }
+
+  if (schema.aspectRatio) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.htmlFor = 'param-aspectRatio';
+    label.textContent = 'Aspect Ratio:';
+    const select = document.createElement('select');
+    select.id = 'param-aspectRatio';
+    select.add(new Option(`Default (${schema.aspectRatio.default || '4:3'})`, ''));
+    select.add(new Option('Match the Infinite Craft window', 'viewport'));
+    for (const ratio of schema.aspectRatio.values || IMAGE_PARAMETERS.aspectRatio.values) {
+      select.add(new Option(ratio === '21:9' ? '21:9 (ultrawide)' : ratio, ratio));
+    }
+    const hint = document.createElement('small');
+    hint.textContent = schema.aspectRatio.values
+      ? 'This model only draws the ratios listed; the window ratio picks the closest one.'
+      : 'The image is sized to this ratio.';
+    group.append(label, select, hint);
+    container.appendChild(group);
+  }
+
+  if (schema.negativePrompt) {
+    container.appendChild(createField('param-negativePrompt', 'Negative Prompt:', 'text', 'e.g. text, watermark, blurry',
+      'What the image should not contain.'));
+  }
+
+  for (const name of ['steps', 'guidance']) {
+    if (!schema[name]) continue;
+    const { label, min, max, integer } = schema[name];
+    const defaultText = schema[name].default !== undefined ? String(schema[name].default) : 'Model default';
+    const field = createField(`param-${name}`, `${label}:`, 'number', defaultText,
+      `Between ${min} and ${max}. Leave empty for the model default.`);
+    Object.assign(field.querySelector('input'), { min, max, step: integer ? 1 : 0.1 });
+    container.appendChild(field);
+  }
+
+  for (const name of ['seed', 'aspectRatio', 'negativePrompt', 'steps', 'guidance']) {
+    const input = document.getElementById(`param-${name}`);
+    if (input && values[name] !== undefined) input.value = values[name];
+  }
+};
+
+// Reads the parameter controls of the model being edited. Empty controls mean the model default.
+const readImageParamFields = () => {
+  const values = {};
+  const seedLocked = document.getElementById('param-seedLocked');
+  if (seedLocked?.checked) values.seedLocked = true;
+
+  for (const name of ['seed', 'aspectRatio', 'negativePrompt', 'steps', 'guidance']) {
+    const input = document.getElementById(`param-${name}`);
+    const value = input?.value.trim();
+    if (!value) continue;
+    values[name] = IMAGE_PARAMETERS[name].type === 'number' ? Number(value) : value;
+  }
+  return values;
+};
+
+// Parameters of every model, including unsaved edits of the one shown
+const readImageParams = () => {
+  const imageParams = { ...imageParamsDraft, [shownParamsModel]: readImageParamFields() };
+  return Object.fromEntries(Object.entries(imageParams).filter(([, values]) => Object.keys(values).length > 0));
+};
+
+// Fills the model picker of the parameters section; switching models keeps the edits of the previous one
+const renderImageParamModelPicker = () => {
+  const picker = document.getElementById('params-model');
+  for (const option of getImageModelOptions()) {
+    picker.add(new Option(option.label, option.value));
+  }
+  picker.addEventListener('change', () => {
+    imageParamsDraft = readImageParams();
+    renderImageParamFields(picker.value);
+  });
+};
+
+// The player's prompt templates, edited one at a time; saved with the other options
+let promptTemplatesDraft = {};
+let shownTemplateId = null;
+
+const TEMPLATE_FIELDS = ['name', 'style', 'system', 'user'];
+
+// The player's templates, including unsaved edits of the one shown
+const readPromptTemplates = () => {
+  readPromptTemplateFields();
+  return { ...promptTemplatesDraft };
+};
+
+// Fills the template picker with the built-in presets, then the player's templates
+const renderPromptTemplateOptions = () => {
+  const select = document.getElementById('promptTemplateId');
+  select.replaceChildren();
+  for (const template of listPromptTemplates({ promptTemplates: promptTemplatesDraft })) {
+    select.add(new Option(template.builtIn ? template.name : `${template.name} (custom)`, template.id));
+  }
+};
+
+// Shows a template in the editor. Built-in ones are read-only.
+const renderPromptTemplateFields = (templateId) => {
+  const templates = listPromptTemplates({ promptTemplates: promptTemplatesDraft });
+  const template = templates.find(candidate => candidate.id === templateId) || templates[0];
+  shownTemplateId = template.id;
+  // A deleted template falls back to the default one
+  document.getElementById('promptTemplateId').value = template.id;
+
+  for (const field of TEMPLATE_FIELDS) {
+    const input = document.getElementById(`template-${field}`);
+    input.value = template[field];
+    input.readOnly = template.builtIn;
+  }
+  document.getElementById('delete-template').disabled = template.builtIn;
+  document.getElementById('template-readonly-hint').hidden = !template.builtIn;
+};
+
+// Keeps the edits of the template shown, if it is one of the player's
+const readPromptTemplateFields = () => {
+  if (!promptTemplatesDraft[shownTemplateId]) return;
+  promptTemplatesDraft[shownTemplateId] = Object.fromEntries(
+    TEMPLATE_FIELDS.map(field => [field, document.getElementById(`template-${field}`).value])
   );
 };
 
+// Picker, Duplicate and Delete of the template editor
+const renderPromptTemplateEditor = () => {
+  const variables = Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => `{{${name}}}: ${description}`);
+  document.getElementById('template-variables').textContent = `Variables: ${variables.join('. ')}. `
+    + '{{#previousPrompt}}…{{/previousPrompt}} is kept only when there is a previous scene, '
+    + '{{^previousPrompt}}…{{/previousPrompt}} only when there is none; this works with every variable.';
+
+  const select = document.getElementById('promptTemplateId');
+  select.addEventListener('change', () => {
+    readPromptTemplateFields();
+    renderPromptTemplateFields(select.value);
+  });
+
+  document.getElementById('duplicate-template').addEventListener('click', () => {
+    readPromptTemplateFields();
+    const source = listPromptTemplates({ promptTemplates: promptTemplatesDraft }).find(template => template.id === shownTemplateId);
+    const id = createTemplateId();
+    promptTemplatesDraft[id] = { name: `${source.name} (copy)`, style: source.style, system: source.system, user: source.user };
+    renderPromptTemplateOptions();
+    select.value = id;
+    renderPromptTemplateFields(id);
+  });
+
+  document.getElementById('delete-template').addEventListener('click', () => {
+    delete promptTemplatesDraft[shownTemplateId];
+    renderPromptTemplateOptions();
+    renderPromptTemplateFields(select.value);
+  });
+};
+
+// Shows how often each model won a comparison vote
+const showComparisonVotes = async () => {
+  const { comparisonVotes } = await chrome.storage.local.get({ comparisonVotes: [] });
+  if (comparisonVotes.length === 0) return;
+
+  const labels = new Map(getImageModelOptions().map(option => [option.value, option.label]));
+  const wins = {};
+  for (const vote of comparisonVotes) {
+    wins[vote.winner] = (wins[vote.winner] || 0) + 1;
+  }
+  const tally = Object.entries(wins)
+    .sort((a, b) => b[1] - a[1])
+    .map(([model, count]) => `${labels.get(model) || model}: ${count}`)
+    .join(' · ');
+  document.getElementById('comparison-votes').textContent = `Votes so far: ${tally}`;
+};
+
+// Shows how many prompts and images are cached, and how much space they take
+const showCacheStats = async () => {
+  const { images, prompts, icons, bytes } = await getCacheStats();
+  document.getElementById('cache-stats').textContent = images + prompts + icons === 0
+    ? 'Cache is empty.'
+    : `${images} images, ${prompts} prompts and ${icons} icons cached (${(bytes / 1024 / 1024).toFixed(1)} MB).`;
+};
+
+// Only shows the key and base URL of the selected LLM provider
+const showSelectedLlmProvider = () => {
+  const providerId = document.getElementById('llmProvider').value;
+  for (const fields of document.querySelectorAll('#llm-provider-settings [data-provider]')) {
+    fields.hidden = fields.dataset.provider !== providerId;
+  }
+  document.getElementById('llmModel').placeholder = LLM_PROVIDERS[providerId].defaultModel;
+};
+
+// Settings holding the base URL of a service: one per LLM provider, plus the image providers' (the local server)
+const getBaseUrlSettings = () => [
+  ...Object.keys(LLM_PROVIDERS).map(getLlmBaseUrlSetting),
+  ...Object.keys(getImageSettingDefaults()).filter(key => key.endsWith('BaseUrl'))
+];
+
+// Whether a host permission of the manifest, e.g. https://api.openai.com/* or http://localhost/*, covers a URL.
+// Those patterns name no port, so they match every port.
+const isCoveredByManifest = (url) => chrome.runtime.getManifest().host_permissions.some(pattern => {
+  const [, scheme, host] = pattern.match(/^([^:]+):\/\/([^/]+)\//) || [];
+  const schemeMatches = scheme === '*' ? ['http:', 'https:'].includes(url.protocol) : url.protocol === `${scheme}:`;
+  const hostMatches = host?.startsWith('*.')
+    ? url.hostname === host.slice(2) || url.hostname.endsWith(host.slice(1))
+    : url.hostname === host;
+  return schemeMatches && hostMatches;
+});
+
+// Asks for access to every base URL in the form that the manifest host permissions don't cover: a local server, or
+// a proxy or self-hosted endpoint of any LLM provider. Only URLs changed from their defaults can be outside the
+// manifest, and already granted origins resolve without prompting.
+const requestBaseUrlPermissions = async (values) => {
+  const origins = new Set();
+  for (const key of getBaseUrlSettings()) {
+    try {
+      const url = new URL(values[key]);
+      if (!isCoveredByManifest(url)) origins.add(`${url.origin}/*`);
+    } catch {
+      // Empty or invalid; saving reports invalid URLs
+    }
+  }
+  if (origins.size === 0) return;
+
+  try {
+    await chrome.permissions.request({ origins: [...origins] });
+  } catch (e) {
+    console.warn('Could not request permission for custom base URLs:', e);
+  }
+};
+
+// Shows a short-lived status line under the form
+const showStatus = (message, isError = false) => {
+  const status = document.createElement('div');
+  status.textContent = message;
+  status.style.cssText = `
+    margin-top: 12px;
+    padding: 10px 16px;
+    background: ${isError ? '#fef2f2' : '#ecfdf5'};
+    color: ${isError ? '#b91c1c' : '#047857'};
+    border-radius: 8px;
+    font-size: 14px;
+    text-align: center;
+  `;
+  document.getElementById('optionsForm').appendChild(status);
+  setTimeout(() => {
+    status.remove();
+  }, isError ? 5000 : 2000);
+};
+
+// Settings edited with a plain input or select, whose value is the setting value
+const FIELD_SETTINGS = [
+  'monitorFrequency', 'emphasisStyle', 'updatePolicy', 'imageModel', 'promptTemplateId', 'comparisonLayout',
+  'backgroundFit', 'backgroundDim', 'backgroundBlur', 'backgroundAnimation', 'kenBurnsSpeed', 'backgroundVideoModel',
+  'iconModel', 'cacheMaxMB', 'wandbApiKey', 'wandbTeam', 'weaveProject'
+];
+
+// Range inputs, with the unit shown next to their label
+const RANGE_UNITS = { backgroundDim: '%', backgroundBlur: 'px', kenBurnsSpeed: '' };
+
+// Shows the current value of every range input next to its label
+const showRangeValues = () => {
+  for (const [key, unit] of Object.entries(RANGE_UNITS)) {
+    document.getElementById(`${key}-value`).textContent = `${document.getElementById(key).value}${unit}`;
+  }
+};
+
+// Reads the setting values currently in the form, saved or not
+const readFormValues = () => {
+  const values = {
+    llmStreaming: document.getElementById('llmStreaming').checked,
+    backgroundExcludeSidebar: document.getElementById('backgroundExcludeSidebar').checked,
+    legendaryFirstDiscoveries: document.getElementById('legendaryFirstDiscoveries').checked,
+    elementIcons: document.getElementById('elementIcons').checked,
+    comparisonMode: document.getElementById('comparisonMode').checked,
+    comparisonModels: [...document.querySelectorAll('#comparisonModels input:checked')].map(input => input.value),
+    imageFallbackModels: readFallbackModels(),
+    imageParams: readImageParams(),
+    promptTemplates: readPromptTemplates()
+  };
+  for (const key of [...FIELD_SETTINGS, ...Object.keys(getImageSettingDefaults())]) {
+    values[key] = document.getElementById(key).value;
+  }
+  for (const key of Object.keys(getLlmSettingDefaults())) {
+    values[key] = document.getElementById(key).value.trim();
+  }
+  return values;
+};
+
+// Adds a "Test" button and a result line under the input of every service key
+const renderConnectionTestFields = () => {
+  for (const test of getConnectionTests()) {
+    const row = document.createElement('div');
+    row.className = 'connection-test';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-button';
+    button.textContent = 'Test';
+    button.addEventListener('click', () => {
+      const values = readFormValues();
+      // Requested before any await so it still runs within the click gesture
+      requestBaseUrlPermissions(values);
+      runConnectionTest(test, values);
+    });
+
+    const result = document.createElement('span');
+    result.id = `${test.settingKey}-test-result`;
+    result.className = 'connection-result';
+
+    row.append(button, result);
+    document.getElementById(test.settingKey).insertAdjacentElement('afterend', row);
+  }
+};
+
+// Tests one service and shows the outcome next to its key
+const runConnectionTest = async (test, values) => {
+  const output = document.getElementById(`${test.settingKey}-test-result`);
+  output.textContent = 'Testing…';
+  output.dataset.status = 'pending';
+
+  const result = await testConnection(test, values);
+  output.textContent = `${result.ok ? '✓' : '✗'} ${result.message}`;
+  output.dataset.status = result.ok ? 'ok' : 'error';
+};
+
+// Tests every configured service, e.g. right after saving
+const runConnectionTests = async (values) => {
+  const tests = getConnectionTests();
+  for (const test of tests) {
+    document.getElementById(`${test.settingKey}-test-result`).textContent = '';
+  }
+  await Promise.all(tests.filter(test => test.isConfigured(values)).map(test => runConnectionTest(test, values)));
+};
+
+// Saves options through the settings module, which validates them, then tests the configured services
+const saveOptions = async () => {
+  const values = readFormValues();
+
+  // Requested before any await so it still runs within the submit gesture
+  requestBaseUrlPermissions(values);
+
+  // Locked keys can't be read, so they are left as they are
+  if ((await getVaultStatus()) === 'locked') {
+    for (const key of Object.keys(values).filter(isSecretSetting)) {
+      delete values[key];
+    }
+  }
+
+  try {
+    await setSettings(values);
+  } catch (e) {
+    showStatus(e.message, true);
+    return;
+  }
+  // Update status to let user know options were saved.
+  showStatus('✓ Options saved');
+  await runConnectionTests(values);
+};
+
+// Restores the form from the stored settings
+const restoreOptions = async () => {
+  const items = await getSettings();
+  // The template picker lists the player's templates, so it is filled before the fields are restored
+  promptTemplatesDraft = items.promptTemplates;
+  renderPromptTemplateOptions();
+
+  for (const key of [...FIELD_SETTINGS, ...Object.keys(getLlmSettingDefaults()), ...Object.keys(getImageSettingDefaults())]) {
+    document.getElementById(key).value = items[key];
+  }
+  document.getElementById('llmStreaming').checked = items.llmStreaming;
+  document.getElementById('backgroundExcludeSidebar').checked = items.backgroundExcludeSidebar;
+  document.getElementById('legendaryFirstDiscoveries').checked = items.legendaryFirstDiscoveries;
+  document.getElementById('elementIcons').checked = items.elementIcons;
+  showRangeValues();
+  document.getElementById('comparisonMode').checked = items.comparisonMode;
+  for (const checkbox of document.querySelectorAll('#comparisonModels input')) {
+    checkbox.checked = items.comparisonModels.includes(checkbox.value);
+  }
+  renderFallbackModels(items.imageFallbackModels);
+  imageParamsDraft = items.imageParams;
+  document.getElementById('params-model').value = items.imageModel;
+  renderImageParamFields(items.imageModel);
+  renderPromptTemplateFields(document.getElementById('promptTemplateId').value);
+  showSelectedLlmProvider();
+  await renderVaultStatus();
+};
+
+// Shows whether the API keys are encrypted and unlocked, with the matching actions.
+// Key inputs are disabled while the keys are locked.
+const renderVaultStatus = async () => {
+  const vaultStatus = await getVaultStatus();
+  const statusTexts = {
+    disabled: 'Not encrypted.',
+    locked: '🔒 Locked. Enter your passphrase to view or change your keys.',
+    unlocked: '🔓 Unlocked for this browser session.'
+  };
+  const actionLabels = { disabled: 'Encrypt Keys', locked: 'Unlock', unlocked: 'Lock' };
+
+  document.getElementById('vault-status').textContent = statusTexts[vaultStatus];
+  document.getElementById('vaultPassphrase').hidden = vaultStatus === 'unlocked';
+  document.getElementById('vault-action').textContent = actionLabels[vaultStatus];
+  document.getElementById('vault-disable').hidden = vaultStatus !== 'unlocked';
+  for (const input of document.querySelectorAll('#optionsForm input[type="password"]:not(#vaultPassphrase)')) {
+    input.disabled = vaultStatus === 'locked';
+  }
+};
+
+// Runs a key vault action, then shows the keys it made readable (or hid)
+const runVaultAction = async (action) => {
+  const passphraseInput = document.getElementById('vaultPassphrase');
+  try {
+    await action(passphraseInput.value);
+    passphraseInput.value = '';
+  } catch (e) {
+    showStatus(e.message, true);
+  }
+  await restoreOptions();
+};
+
+// Encrypts, unlocks or locks the keys depending on the current state
+const onVaultAction = async () => {
+  const actions = { disabled: enableVault, locked: unlockVault, unlocked: lockVault };
+  await runVaultAction(actions[await getVaultStatus()]);
+};
+
+renderLlmProviderFields();
+renderProviderSettingFields();
+renderImageModelFields();
+renderVideoModelPicker();
+renderFallbackModelPicker();
+renderImageParamModelPicker();
+renderPromptTemplateEditor();
+renderConnectionTestFields();
 document.addEventListener('DOMContentLoaded', restoreOptions);
+document.addEventListener('DOMContentLoaded', showComparisonVotes);
+document.addEventListener('DOMContentLoaded', showCacheStats);
+for (const key of Object.keys(RANGE_UNITS)) {
+  document.getElementById(key).addEventListener('input', showRangeValues);
+}
+document.getElementById('clear-cache').addEventListener('click', async () => {
+  await clearCache();
+  await showCacheStats();
+});
+document.getElementById('vault-action').addEventListener('click', onVaultAction);
+document.getElementById('vault-disable').addEventListener('click', () => runVaultAction(disableVault));
 document.getElementById('optionsForm').addEventListener('submit', (e) => {
     e.preventDefault();
     saveOptions();
@@ -0,0 +1,115 @@
+// pipelineState.js
+// Tracks where each tab's pipeline is (idle -> prompting -> imaging -> idle, or error) in chrome.storage.session.
+// MV3 may stop the service worker mid-generation; on startup background.js reads these records to resume or
+// reset whatever was in flight instead of leaving it stuck.
+
+const PIPELINE_STATES = ['idle', 'prompting', 'imaging', 'error'];
+
+// States each state may move to. A job can fail before it gets busy (e.g. a cache lookup), or fail again while the
+// previous failure is still shown, so every state may move to error.
+const TRANSITIONS = {
+    idle: ['prompting', 'imaging', 'error'],
+    prompting: ['imaging', 'idle', 'error'],
+    imaging: ['idle', 'error'],
+    error: ['prompting', 'imaging', 'idle', 'error']
+};
+
+const KEY_PREFIX = 'pipeline:';
+
+// Last write of each tab's record (tab id -> Promise). Writes read the record first, so they are chained per tab
+// to keep one from overwriting another that ran in between.
+const tabWrites = new Map();
+
+// Key of a tab's pipeline record in chrome.storage.session
+function getPipelineKey(tabId) {
+    return `${KEY_PREFIX}${tabId}`;
+}
+
+// Runs a write of a tab's record once the previous writes of that tab are done
+function queueTabWrite(tabId, write) {
+    const previous = tabWrites.get(tabId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+    tabWrites.set(tabId, next);
+    const forget = () => {
+        if (tabWrites.get(tabId) === next) tabWrites.delete(tabId);
+    };
+    next.then(forget, forget);
+    return next;
+}
+
+/**
+ * Reads the pipeline record of a tab
+ * @param {number} tabId - The Infinite Craft tab
+ * @returns {Promise<Object>} - { tabId, state, updatedAt, ...details }. Idle if nothing was recorded.
+ */
+async function getPipelineState(tabId) {
+    const key = getPipelineKey(tabId);
+    const stored = await chrome.storage.session.get(key);
+    return stored[key] || { tabId, state: 'idle', updatedAt: 0 };
+}
+
+/**
+ * Moves a tab's pipeline to a new state
+ * @param {number} tabId - The Infinite Craft tab
+ * @param {string} state - 'idle', 'prompting', 'imaging' or 'error'
+ * @param {Object} details - What is needed to resume from this state (texts, pending image job, error message...)
+ * @returns {Promise<Object>} - The new record
+ */
+async function setPipelineState(tabId, state, details = {}) {
+    if (!PIPELINE_STATES.includes(state)) {
+        throw new Error(`Unknown pipeline state: ${state}`);
+    }
+
+    return queueTabWrite(tabId, async () => {
+        const current = await getPipelineState(tabId);
+        if (!TRANSITIONS[current.state].includes(state)) {
+            throw new Error(`Invalid pipeline transition for tab ${tabId}: ${current.state} -> ${state}`);
+        }
+
+        const record = { ...details, tabId, state, updatedAt: Date.now() };
+        await chrome.storage.session.set({ [getPipelineKey(tabId)]: record });
+        return record;
+    });
+}
+
+/**
+ * Adds details to the current state without moving it, e.g. the prediction id once an image job is submitted
+ * @param {number} tabId - The Infinite Craft tab
+ * @param {Object} details - The details to merge in
+ * @returns {Promise<void>}
+ */
+async function updatePipelineDetails(tabId, details) {
+    await queueTabWrite(tabId, async () => {
+        const current = await getPipelineState(tabId);
+        await chrome.storage.session.set({ [getPipelineKey(tabId)]: { ...current, ...details, updatedAt: Date.now() } });
+    });
+}
+
+/**
+ * Lists the pipeline records of every tab
+ * @returns {Promise<Array<Object>>}
+ */
+async function listPipelineStates() {
+    const stored = await chrome.storage.session.get(null);
+    return Object.entries(stored)
+        .filter(([key]) => key.startsWith(KEY_PREFIX))
+        .map(([, record]) => record);
+}
+
+/**
+ * Forgets a tab's pipeline record, e.g. when the tab is closed
+ * @param {number} tabId - The Infinite Craft tab
+ * @returns {Promise<void>}
+ */
+async function clearPipelineState(tabId) {
+    await queueTabWrite(tabId, () => chrome.storage.session.remove(getPipelineKey(tabId)));
+}
+
+export {
+    PIPELINE_STATES,
+    getPipelineState,
+    setPipelineState,
+    updatePipelineDetails,
+    listPipelineStates,
+    clearPipelineState
+};
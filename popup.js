@@ -1,47 +1,240 @@
 // popup.js
+import { getImageProviders, getImageModelOptions, getImageKeyDefaults } from './apiHandler.js';
+import { LLM_PROVIDERS, getLlmKeySetting } from './llmHandler.js';
+import { listPromptTemplates } from './promptTemplates.js';
+import { getSettings, setSettings } from './settings.js';
+import { getVaultStatus, unlockVault, lockVault } from './keyVault.js';
+import { listRecentErrors, clearRecentErrors } from './errors.js';
+import { getActiveSession, startSession, endSession, listSessionGenerations } from './historyStore.js';
 
-// Saves options to chrome.storage
-const saveOptions = () => {
-    const openaiApiKey = document.getElementById('openaiApiKey').value;
-    const falApiKey = document.getElementById('falApiKey').value;
-    const replicateApiKey = document.getElementById('replicateApiKey').value;
+// Keys of every LLM provider, so switching providers in the select doesn't lose typed keys
+const llmKeys = {};
+let shownLlmProvider = null;
+
+// Shows the key of the selected LLM provider in the shared key input
+const showLlmProviderKey = () => {
+    const keyInput = document.getElementById('llmApiKey');
+    if (shownLlmProvider) {
+        llmKeys[getLlmKeySetting(shownLlmProvider)] = keyInput.value;
+    }
+
+    const provider = LLM_PROVIDERS[document.getElementById('llmProvider').value];
+    document.getElementById('llmApiKeyLabel').textContent = `${provider.name} API Key`;
+    keyInput.placeholder = provider.keyPlaceholder;
+    keyInput.value = llmKeys[getLlmKeySetting(provider.id)] || '';
+    shownLlmProvider = provider.id;
+};
+
+// Builds the LLM provider select, and the key inputs and model select from the image provider registry
+const renderProviderFields = () => {
+    const llmProviderSelect = document.getElementById('llmProvider');
+    for (const provider of Object.values(LLM_PROVIDERS)) {
+        llmProviderSelect.add(new Option(provider.name, provider.id));
+    }
+    llmProviderSelect.addEventListener('change', showLlmProviderKey);
+
+    const keysContainer = document.getElementById('image-provider-keys');
+    for (const provider of getImageProviders()) {
+        if (!provider.keySetting) continue;
+
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = provider.keySetting;
+        label.textContent = `${provider.name} API Key`;
+
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.id = provider.keySetting;
+        input.placeholder = provider.keyPlaceholder || '';
+
+        group.append(label, input);
+        keysContainer.appendChild(group);
+    }
+
+    const modelSelect = document.getElementById('imageModel');
+    for (const option of getImageModelOptions()) {
+        modelSelect.add(new Option(option.label, option.value));
+    }
+};
+
+// Shows a short-lived status line under the settings
+const showStatus = (message, color) => {
+    const status = document.getElementById('status-message');
+    status.textContent = message;
+    status.style.color = color;
+    setTimeout(() => {
+        status.textContent = '';
+    }, 2000);
+};
+
+// Saves the settings through the settings module
+const saveOptions = async () => {
+    const llmProvider = document.getElementById('llmProvider').value;
+    llmKeys[getLlmKeySetting(llmProvider)] = document.getElementById('llmApiKey').value;
     const imageModel = document.getElementById('imageModel').value;
+    const promptTemplateId = document.getElementById('promptTemplateId').value;
 
-    chrome.storage.sync.set(
-        { openaiApiKey, falApiKey, replicateApiKey, imageModel },
-        () => {
-            // Update status to let user know options were saved.
-            const status = document.getElementById('status-message');
-            status.textContent = 'Settings saved.';
-            status.style.color = 'green';
-            setTimeout(() => {
-                status.textContent = '';
-            }, 2000);
-
-            // Notify background script to regenerate image with new settings
-            chrome.runtime.sendMessage({ action: 'regenerateImage' });
-        }
-    );
-};
-
-// Restores select box and checkbox state using the preferences
-// stored in chrome.storage.
-const restoreOptions = () => {
-    chrome.storage.sync.get(
-        { 
-            openaiApiKey: '', 
-            falApiKey: '', 
-            replicateApiKey: '', 
-            imageModel: 'fal-z-image-turbo' 
-        },
-        (items) => {
-            document.getElementById('openaiApiKey').value = items.openaiApiKey;
-            document.getElementById('falApiKey').value = items.falApiKey;
-            document.getElementById('replicateApiKey').value = items.replicateApiKey;
-            document.getElementById('imageModel').value = items.imageModel;
+    const providerKeys = {};
+    for (const keySetting of Object.keys(getImageKeyDefaults())) {
+        providerKeys[keySetting] = document.getElementById(keySetting).value;
+    }
+
+    // Locked keys can't be read, so they are left as they are
+    const keysLocked = (await getVaultStatus()) === 'locked';
+
+    try {
+        const choices = { llmProvider, imageModel, promptTemplateId };
+        await setSettings(keysLocked ? choices : { ...choices, ...llmKeys, ...providerKeys });
+    } catch (e) {
+        showStatus(e.message, 'red');
+        return;
+    }
+    showStatus('Settings saved.', 'green');
+
+    // Notify background script to regenerate image with new settings
+    chrome.runtime.sendMessage({ action: 'regenerateImage' });
+};
+
+// Restores select box and input state from the stored settings
+const restoreOptions = async () => {
+    const llmKeySettings = Object.keys(LLM_PROVIDERS).map(getLlmKeySetting);
+    const items = await getSettings([
+        'llmProvider', 'imageModel', 'promptTemplateId', 'promptTemplates', ...llmKeySettings, ...Object.keys(getImageKeyDefaults())
+    ]);
+
+    for (const keySetting of llmKeySettings) {
+        llmKeys[keySetting] = items[keySetting];
+    }
+    document.getElementById('llmProvider').value = items.llmProvider;
+    showLlmProviderKey();
+    for (const keySetting of Object.keys(getImageKeyDefaults())) {
+        document.getElementById(keySetting).value = items[keySetting];
+    }
+    document.getElementById('imageModel').value = items.imageModel;
+
+    // The player's templates can change on the options page, so the list is built from the stored settings
+    const templateSelect = document.getElementById('promptTemplateId');
+    templateSelect.replaceChildren();
+    for (const template of listPromptTemplates(items)) {
+        templateSelect.add(new Option(template.name, template.id));
+    }
+    templateSelect.value = items.promptTemplateId;
+    if (!templateSelect.value) {
+        // The selected template was deleted; scenes use the first preset until another is picked
+        templateSelect.selectedIndex = 0;
+    }
+};
+
+// Shows whether the encrypted API keys are unlocked; the key inputs are disabled while they are locked.
+// Nothing is shown when the keys aren't encrypted.
+const renderVaultStatus = async () => {
+    const vaultStatus = await getVaultStatus();
+    const locked = vaultStatus === 'locked';
+
+    document.getElementById('vault-group').hidden = vaultStatus === 'disabled';
+    document.getElementById('vault-status').textContent = locked
+        ? '🔒 Locked. Enter your passphrase to use them.'
+        : '🔓 Unlocked for this browser session.';
+    document.getElementById('vaultPassphrase').hidden = !locked;
+    document.getElementById('toggle-vault').textContent = locked ? 'Unlock' : 'Lock';
+    for (const input of document.querySelectorAll('#llmApiKey, #image-provider-keys input')) {
+        input.disabled = locked;
+    }
+};
+
+// Unlocks the API keys with the passphrase, or locks them again
+const toggleVault = async () => {
+    try {
+        if ((await getVaultStatus()) === 'locked') {
+            const passphraseInput = document.getElementById('vaultPassphrase');
+            await unlockVault(passphraseInput.value);
+            passphraseInput.value = '';
+            // The background asked for the passphrase with the LOCK badge
+            if ((await chrome.action.getBadgeText({})) === 'LOCK') {
+                chrome.action.setBadgeText({ text: '' });
+            }
+        } else {
+            await lockVault();
         }
-    );
+    } catch (e) {
+        showStatus(e.message, 'red');
+    }
+    await restoreOptions();
+    await renderVaultStatus();
+};
+
+// Lists the last few pipeline errors, newest first
+const renderRecentErrors = async () => {
+    const recentErrors = (await listRecentErrors()).slice(0, 5);
+    const list = document.getElementById('recent-errors');
+    list.replaceChildren();
+    document.getElementById('recent-errors-group').hidden = recentErrors.length === 0;
+
+    for (const error of recentErrors) {
+        const item = document.createElement('li');
+
+        const time = document.createElement('span');
+        time.className = 'error-time';
+        time.textContent = new Date(error.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        const message = document.createElement('span');
+        message.className = 'error-message';
+        message.textContent = error.message;
+        item.title = error.message;
+
+        item.append(time, error.service ? `${error.service}: ${error.title}` : error.title, message);
+        list.appendChild(item);
+    }
+};
+
+// Shows whether a story is recording, and how many chapters it has so far
+const renderStoryStatus = async () => {
+    const session = await getActiveSession();
+    const status = document.getElementById('story-status');
+    const titleInput = document.getElementById('storyTitle');
+    const button = document.getElementById('toggle-story');
+
+    if (session) {
+        const chapters = (await listSessionGenerations(session.id)).length;
+        status.textContent = `Recording "${session.title}" (${chapters} chapter${chapters === 1 ? '' : 's'})`;
+        titleInput.hidden = true;
+        button.textContent = 'End Story';
+    } else {
+        status.textContent = 'No story is recording.';
+        titleInput.hidden = false;
+        button.textContent = 'Start Story';
+    }
+};
+
+// Starts a story, or ends the one that is recording
+const toggleStory = async () => {
+    if (await getActiveSession()) {
+        await endSession();
+    } else {
+        const titleInput = document.getElementById('storyTitle');
+        await startSession(titleInput.value.trim());
+        titleInput.value = '';
+    }
+    await renderStoryStatus();
 };
 
+renderProviderFields();
 document.addEventListener('DOMContentLoaded', restoreOptions);
+document.addEventListener('DOMContentLoaded', renderStoryStatus);
+document.addEventListener('DOMContentLoaded', renderVaultStatus);
+document.addEventListener('DOMContentLoaded', renderRecentErrors);
+document.getElementById('clear-errors').addEventListener('click', async () => {
+    await clearRecentErrors();
+    await renderRecentErrors();
+});
+document.getElementById('toggle-vault').addEventListener('click', toggleVault);
+document.getElementById('toggle-story').addEventListener('click', toggleStory);
 document.getElementById('save-settings').addEventListener('click', saveOptions);
+document.getElementById('open-history').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+document.getElementById('open-recipes').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('recipes.html') });
+});
@@ -0,0 +1,276 @@
+// promptTemplates.js
+// Prompt templates: the system prompt and user message the LLM is given to write a scene, with {{variables}}
+// filled in from the board. A few presets are built in (the original storyteller and art-style packs);
+// the player can duplicate them into their own templates on the options page and pick one in the popup.
+
+import { registerSettings } from './settings.js';
+import { EMPTY_BOARD_DELTA, formatCraft, getNewestDiscovery, getNewestFirstDiscovery } from './boardDelta.js';
+
+const DEFAULT_TEMPLATE_ID = 'storyteller';
+
+// Variables a template can use, with what they hold
+const TEMPLATE_VARIABLES = {
+    items: 'Every element on the board, comma separated',
+    emojiItems: 'Every element on the board with its emoji, e.g. "🔥 Fire, 💧 Water"',
+    newItems: 'Elements added since the previous scene; empty for the first scene',
+    removedItems: 'Elements taken off the board since the previous scene',
+    craftedItems: 'How the new elements were crafted, e.g. "Fire + Water → Steam", when the page showed it',
+    newestItem: 'The newest discovery: the last crafted or added element',
+    lineage: 'How the newest discovery was made, from the crafts of its ingredients to its own',
+    firstDiscovery: 'The newest element nobody had crafted before ("First Discovery"), if one was just made',
+    legendaryStyle: 'The style a first discovery is drawn in; empty when there is none or legendary styling is off',
+    discoveredCount: 'How many elements the player has discovered so far (the sidebar)',
+    previousPrompt: 'The previous scene description; empty for the first scene',
+    style: "The template's art style"
+};
+
+// Added to the scene when the player makes something nobody had crafted before
+const LEGENDARY_STYLE = 'epic and awe-inspiring, bathed in radiant golden light with a glowing aura, dramatic god rays and a sense of mythic grandeur';
+
+// Image prompt of an element icon, sent to the image model as is: icons are drawn for many elements, without the LLM
+const ICON_PROMPT = 'A game inventory icon of {{name}}{{#emoji}} ({{emoji}}){{/emoji}}: a single centered object, simple flat illustration with a bold outline and soft shading, on a plain light background. No text, no border.';
+
+// chrome.storage.sync refuses items over 8 KB, so the player's templates must fit in one
+const MAX_CUSTOM_TEMPLATES_SIZE = 8000;
+
+const CONTINUITY_INSTRUCTION = `CRITICAL INSTRUCTION: You must treat this as a continuous visual story.
+If a "Previous Scene Description" is provided, you MUST evolve that scene to incorporate the new items.
+Do not start from scratch unless the new items are completely incompatible.`;
+
+const STORYTELLER_SYSTEM = `You are a Master Visual Storyteller. Your task is to create a vivid, {{style}} image prompt based on a list of items provided by the user.
+
+The items are from the game "Infinite Craft".
+
+${CONTINUITY_INSTRUCTION}
+
+Output: A concise, 2-3 sentence image prompt. Focus on the most important visual elements. Do not use JSON.
+
+Examples:
+1. "A massive stone golem rises from a lake of molten lava, its body cracking with glowing veins of magma. Ash falls like snow around it, settling on the dark basalt cliffs that surround the fiery pit."
+2. "A futuristic city built into the branches of a giant world-tree, with glass walkways connecting the leaves. Hovercars zip between the branches, their lights leaving trails against the twilight sky."
+3. "An astronaut stands on the surface of a purple moon, looking up at a ringed gas giant that dominates the horizon. Crystalline structures jut out of the ground, reflecting the pale light of a distant star."`;
+
+// Shared by the art-style packs, which differ by their style and example
+const ART_STYLE_SYSTEM = `You are a Master Visual Storyteller and art director. Your task is to create an image prompt based on a list of items provided by the user, always drawn in this art style: {{style}}.
+
+The items are from the game "Infinite Craft".
+
+${CONTINUITY_INSTRUCTION}
+
+Output: A concise, 2-3 sentence image prompt that names the art style and describes the scene's composition, palette and lighting in that style. Do not use JSON.`;
+
+// The board changes are listed as separate fields, so the scene can evolve around the newest discovery
+// instead of describing every element again
+const DEFAULT_USER_TEMPLATE = `Current Items: {{items}}{{#previousPrompt}}
+
+Previous Scene Description: {{previousPrompt}}{{#newItems}}
+
+New Items: {{newItems}}{{/newItems}}{{#craftedItems}}
+Just Crafted: {{craftedItems}}{{/craftedItems}}{{#removedItems}}
+Removed Items: {{removedItems}}{{/removedItems}}{{#lineage}}
+How {{newestItem}} Was Made: {{lineage}}{{/lineage}}{{#legendaryStyle}}
+
+First Discovery: nobody had ever crafted {{firstDiscovery}} before. Make it the legendary centerpiece of the scene: {{legendaryStyle}}.{{/legendaryStyle}}
+
+Instruction: Evolve the previous scene with the new items{{#newestItem}}, making the newest discovery ({{newestItem}}) its focus{{/newestItem}}. Drop removed items from the scene, and don't re-describe everything. Keep it concise (2-3 sentences).{{/previousPrompt}}{{^previousPrompt}}
+
+Instruction: Create a new fantasy scene based on these items. Keep it concise (2-3 sentences).{{/previousPrompt}}`;
+
+// Builds an art-style pack with one example of the style
+function createArtStyleTemplate(id, name, style, example) {
+    return {
+        id,
+        name,
+        builtIn: true,
+        style,
+        system: `${ART_STYLE_SYSTEM}\n\nExample:\n"${example}"`,
+        user: DEFAULT_USER_TEMPLATE
+    };
+}
+
+const BUILTIN_TEMPLATES = [
+    {
+        id: DEFAULT_TEMPLATE_ID,
+        name: 'Master Visual Storyteller',
+        builtIn: true,
+        style: 'hyper-realistic, cinematic, 8k resolution',
+        system: STORYTELLER_SYSTEM,
+        user: DEFAULT_USER_TEMPLATE
+    },
+    createArtStyleTemplate('pixel-art', 'Pixel Art',
+        '16-bit pixel art with a limited retro palette, crisp square pixels and no anti-aliasing',
+        'A 16-bit pixel art volcano looms over a tiny village, its lava drawn in three shades of orange. Chunky pixel clouds drift across a dithered purple sky while a knight sprite stands at the foot of the mountain.'),
+    createArtStyleTemplate('watercolor', 'Watercolor',
+        'loose watercolor on textured paper, soft bleeding washes, visible brush strokes and a pastel palette',
+        'A loose watercolor of a lighthouse on a rocky shore, its beam a pale yellow wash bleeding into a lavender dusk. Waves are suggested with a few blue strokes, the paper texture showing through the foam.'),
+    createArtStyleTemplate('noir', 'Noir',
+        'black-and-white film noir, high-contrast chiaroscuro lighting, deep shadows and 1940s cinematography',
+        'A black-and-white film noir shot of a dragon coiled around a rain-slick streetlamp, its scales catching hard light from a single bulb. Venetian-blind shadows slice across the wet cobblestones below.'),
+    createArtStyleTemplate('ghibli-like', 'Studio Ghibli-like',
+        'hand-painted anime background art in the spirit of classic Studio Ghibli films, lush painterly skies, warm natural light and whimsical detail',
+        'A hand-painted anime meadow where a giant moss-covered robot rests among wildflowers, tiny spirits perched on its shoulders. Towering summer clouds glow in warm afternoon light above rolling green hills.')
+];
+
+registerSettings({
+    promptTemplateId: { type: 'string', default: DEFAULT_TEMPLATE_ID },
+    // The player's templates, template id -> { name, style, system, user }
+    promptTemplates: { type: 'object', default: {}, validate: validateCustomTemplates },
+    // Draw first discoveries in LEGENDARY_STYLE
+    legendaryFirstDiscoveries: { type: 'boolean', default: true }
+});
+
+/**
+ * Fills in a template. {{name}} is replaced by the variable's value; {{#name}}...{{/name}} is kept only when the
+ * variable is set (not empty), and {{^name}}...{{/name}} only when it isn't.
+ * @param {string} source - The template text
+ * @param {Object} variables - Variable name -> value, see TEMPLATE_VARIABLES
+ * @returns {string}
+ */
+function renderTemplate(source, variables) {
+    return renderSections(source, variables).replace(/\{\{(\w+)\}\}/g, (match, name) => String(variables[name] ?? ''));
+}
+
+// Keeps or drops the sections of a template, including sections nested in kept ones
+function renderSections(source, variables) {
+    return source.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, body) => {
+        const isSet = Boolean(variables[name]);
+        return (kind === '#') === isSet ? renderSections(body, variables) : '';
+    });
+}
+
+/**
+ * Checks a template before it is saved
+ * @param {{name: string, style: string, system: string, user: string}} template - The template
+ * @throws {Error} - If a field is missing, or a field uses an unknown variable
+ */
+function validatePromptTemplate(template) {
+    const name = template.name?.trim();
+    if (!name) throw new Error('Every prompt template needs a name');
+
+    for (const field of ['style', 'system', 'user']) {
+        if (typeof template[field] !== 'string') throw new Error(`Prompt template "${name}": ${field} must be text`);
+    }
+    if (!template.user.trim()) throw new Error(`Prompt template "${name}": the user message is empty`);
+
+    for (const field of ['system', 'user']) {
+        for (const [, variable] of template[field].matchAll(/\{\{[#^/]?(\w+)\}\}/g)) {
+            if (!TEMPLATE_VARIABLES[variable]) {
+                throw new Error(`Prompt template "${name}": unknown variable {{${variable}}}`);
+            }
+        }
+    }
+}
+
+// Checks the player's templates, throwing with what is wrong
+function validateCustomTemplates(templates) {
+    for (const template of Object.values(templates)) {
+        validatePromptTemplate(template);
+    }
+    const size = JSON.stringify(templates).length;
+    if (size > MAX_CUSTOM_TEMPLATES_SIZE) {
+        throw new Error(`Prompt templates are too long to sync (${size} of ${MAX_CUSTOM_TEMPLATES_SIZE} characters). Shorten or delete one.`);
+    }
+    return true;
+}
+
+/**
+ * Lists the built-in templates, then the player's
+ * @param {Object} settings - Settings containing promptTemplates
+ * @returns {Array<{id: string, name: string, builtIn: boolean, style: string, system: string, user: string}>}
+ */
+function listPromptTemplates(settings) {
+    const custom = Object.entries(settings.promptTemplates || {}).map(([id, template]) => ({ ...template, id, builtIn: false }));
+    return [...BUILTIN_TEMPLATES, ...custom];
+}
+
+/**
+ * Returns the template selected in the settings. A template that was deleted falls back to the default one.
+ * @param {Object} settings - Settings containing promptTemplateId and promptTemplates
+ * @returns {Object} - See listPromptTemplates()
+ */
+function resolvePromptTemplate(settings) {
+    const templates = listPromptTemplates(settings);
+    return templates.find(template => template.id === settings.promptTemplateId)
+        || templates.find(template => template.id === DEFAULT_TEMPLATE_ID);
+}
+
+/**
+ * Builds the LLM messages of a scene from a template
+ * @param {Object} template - From resolvePromptTemplate()
+ * @param {{elements: Array<{text: string, emoji: string}>, delta: Object, previousPrompt: string, lineage: Array<Object>,
+ *        discoveredCount: number|null, legendary: boolean}} board - What is on the board, what changed since the previous
+ *        scene (see computeBoardDelta() in boardDelta.js), the lineage of the newest discovery (see getLineage() in
+ *        recipeGraph.js), the sidebar's element count, and whether first discoveries are drawn legendary
+ * @returns {{systemPrompt: string, userPrompt: string}}
+ */
+function buildPromptMessages(template, {
+    elements,
+    delta = EMPTY_BOARD_DELTA,
+    previousPrompt = '',
+    lineage = [],
+    discoveredCount = null,
+    legendary = true
+}) {
+    const firstDiscovery = getNewestFirstDiscovery(delta);
+    const variables = {
+        items: elements.map(element => element.text).join(', '),
+        emojiItems: elements.map(element => element.emoji ? `${element.emoji} ${element.text}` : element.text).join(', '),
+        newItems: delta.added.join(', '),
+        removedItems: delta.removed.join(', '),
+        craftedItems: delta.crafted.map(formatCraft).join('; '),
+        newestItem: getNewestDiscovery(delta),
+        lineage: lineage.map(formatCraft).join('; '),
+        firstDiscovery,
+        legendaryStyle: legendary && firstDiscovery ? LEGENDARY_STYLE : '',
+        discoveredCount,
+        previousPrompt,
+        style: template.style
+    };
+    return {
+        systemPrompt: renderTemplate(template.system, variables),
+        userPrompt: renderTemplate(template.user, variables)
+    };
+}
+
+/**
+ * Builds the image prompt of an element icon
+ * @param {string} name - The element name
+ * @param {string} emoji - Its emoji, if the page shows one
+ * @returns {string}
+ */
+function buildIconPrompt(name, emoji = '') {
+    return renderTemplate(ICON_PROMPT, { name, emoji });
+}
+
+/**
+ * Tells whether a template uses a variable, in its text or in a section
+ * @param {Object} template - The template
+ * @param {string} name - The variable, see TEMPLATE_VARIABLES
+ * @returns {boolean}
+ */
+function usesTemplateVariable(template, name) {
+    const pattern = new RegExp(`\\{\\{[#^]?${name}\\}\\}`);
+    return pattern.test(template.system) || pattern.test(template.user);
+}
+
+/**
+ * Picks an id for a new template of the player
+ * @returns {string}
+ */
+function createTemplateId() {
+    return `custom-${Date.now().toString(36)}`;
+}
+
+export {
+    DEFAULT_TEMPLATE_ID,
+    TEMPLATE_VARIABLES,
+    BUILTIN_TEMPLATES,
+    renderTemplate,
+    validatePromptTemplate,
+    listPromptTemplates,
+    resolvePromptTemplate,
+    buildPromptMessages,
+    buildIconPrompt,
+    usesTemplateVariable,
+    createTemplateId
+};
@@ -0,0 +1,249 @@
+// providers/falProvider.js
+// Image provider definition for the FAL API (https://fal.run)
+
+import { PipelineError } from '../errors.js';
+import { getImageDimensions } from '../imageParams.js';
+
+const FAL_BASE_URL = 'https://fal.run';
+const FAL_PLATFORM_URL = 'https://api.fal.ai/v1';
+
+// Aspect ratios of the models that take aspect_ratio instead of image_size
+const NANO_BANANA_ASPECT_RATIOS = ['21:9', '16:9', '3:2', '4:3', '5:4', '1:1', '4:5', '3:4', '2:3', '9:16'];
+
+/**
+ * Extracts the first image from a FAL response payload
+ * @param {Object} data - FAL response (sync result or completed request status)
+ * @returns {{url: string, base64?: string, imageType: string}|null}
+ * @throws {PipelineError} - If the safety checker flagged the image
+ */
+function extractImage(data) {
+    // Flagged images come back blacked out instead of failing the request
+    if (data.has_nsfw_concepts?.some(Boolean)) {
+        throw new PipelineError('safety', 'FAL safety checker flagged the image', { service: 'FAL' });
+    }
+    if (!data.images || data.images.length === 0) {
+        return null;
+    }
+
+    const image = data.images[0];
+    const result = {
+        url: image.url,
+        imageType: 'jpeg'
+    };
+
+    // Some endpoints return base64 directly alongside the URL
+    if (image.base64) {
+        result.base64 = image.base64;
+    }
+
+    return result;
+}
+
+/**
+ * Extracts the clip from a FAL image-to-video response payload
+ * @param {Object} data - FAL response (sync result or completed request status)
+ * @returns {{url: string}|null}
+ */
+function extractVideo(data) {
+    return data.video?.url ? { url: data.video.url } : null;
+}
+
+// Submits to fal.run and falls back to polling the request, like images; clips take minutes rather than seconds
+const videoPolling = {
+    intervalMs: 2000,
+    timeoutMs: 300000,
+
+    buildStatusRequest(data, request, apiKey) {
+        if (!data.request_id) {
+            throw new Error(`FAL Response missing video and request_id: ${JSON.stringify(data)}`);
+        }
+        return {
+            url: `${request.url}/requests/${data.request_id}`,
+            headers: {
+                'Authorization': `Key ${apiKey}`
+            }
+        };
+    },
+
+    parseStatus(statusData) {
+        if (statusData.status === 'COMPLETED') {
+            const result = extractVideo(statusData);
+            return result ? { result } : { error: 'No video in completed response' };
+        }
+        if (statusData.status === 'FAILED') {
+            return { error: `FAL Request Failed: ${statusData.error}` };
+        }
+        return null;
+    }
+};
+
+export default {
+    id: 'fal',
+    name: 'FAL',
+    keySetting: 'falApiKey',
+    keyPlaceholder: 'key-...',
+    modelPrefix: 'fal-',
+
+    // params: the generation parameters each model accepts, see imageParams.js.
+    // megapixels: output size for models that take any width and height; minSide: the smallest side they can draw
+    models: [
+        {
+            id: 'fal-z-image-turbo',
+            label: 'z-image-turbo',
+            path: 'fal-ai/z-image/turbo',
+            params: { seed: {}, aspectRatio: {}, steps: { min: 1, max: 8, default: 8 } }
+        },
+        {
+            id: 'fal-fal-ai/nano-banana-pro',
+            label: 'Nano Banana Pro',
+            path: 'fal-ai/nano-banana-pro',
+            params: { aspectRatio: { values: NANO_BANANA_ASPECT_RATIOS } }
+        },
+        {
+            id: 'fal-fal-ai/nano-banana',
+            label: 'Nano Banana',
+            path: 'fal-ai/nano-banana',
+            params: { aspectRatio: { values: NANO_BANANA_ASPECT_RATIOS } }
+        },
+        {
+            id: 'fal-fal-ai/bytedance/seedream/v4/text-to-image',
+            label: 'Seedream v4',
+            path: 'fal-ai/bytedance/seedream/v4/text-to-image',
+            // Seedream needs at least 1024 px on each side
+            megapixels: 4,
+            minSide: 1024,
+            params: { seed: {}, aspectRatio: {} }
+        },
+        {
+            id: 'fal-fal-ai/flux-2',
+            label: 'Flux 2',
+            path: 'fal-ai/flux-2',
+            params: {
+                seed: {},
+                aspectRatio: {},
+                steps: { min: 4, max: 50, default: 28 },
+                guidance: { min: 0, max: 20, default: 2.5 }
+            }
+        }
+    ],
+
+    /**
+     * Builds a model entry for ids that are not listed above, e.g. 'fal-fal-ai/some/model'
+     * @param {string} modelId - The stored model id
+     * @returns {Object} - A model entry with the FAL path
+     */
+    resolveModel(modelId) {
+        const path = modelId.substring(this.modelPrefix.length);
+        // Most FAL text-to-image endpoints take a seed and an image size
+        return { id: modelId, label: path, path, params: { seed: {}, aspectRatio: {} } };
+    },
+
+    buildRequest(prompt, model, apiKey, settings, params) {
+        const body = {
+            prompt: prompt,
+            sync_mode: true,  // Get immediate result
+            output_format: "jpeg"  // jpeg is smaller than png
+        };
+        if (params.seed !== undefined) body.seed = params.seed;
+        if (params.aspectRatio) {
+            if (model.params.aspectRatio.values) {
+                body.aspect_ratio = params.aspectRatio;
+            } else {
+                body.image_size = params.size || getImageDimensions(params.aspectRatio, model.megapixels);
+            }
+        }
+        if (params.steps !== undefined) body.num_inference_steps = params.steps;
+        if (params.guidance !== undefined) body.guidance_scale = params.guidance;
+
+        return {
+            url: `${FAL_BASE_URL}/${model.path}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Key ${apiKey}`
+            },
+            body
+        };
+    },
+
+    // Pricing lookups require a valid key but don't run (or bill) a model
+    buildTestRequest(apiKey) {
+        return {
+            url: `${FAL_PLATFORM_URL}/models/pricing?endpoint_id=${encodeURIComponent(this.models[0].path)}`,
+            headers: {
+                'Authorization': `Key ${apiKey}`
+            }
+        };
+    },
+
+    parseResult(data) {
+        return extractImage(data);
+    },
+
+    // Image-to-video models that animate the background (the backgroundVideoModel setting)
+    video: {
+        models: [
+            {
+                id: 'fal-video-ltx',
+                label: 'LTX Video (image to video)',
+                path: 'fal-ai/ltx-video-13b-distilled/image-to-video',
+                input: {}
+            },
+            {
+                id: 'fal-video-kling',
+                label: 'Kling 2.1 (image to video)',
+                path: 'fal-ai/kling-video/v2.1/standard/image-to-video',
+                input: { duration: '5' }
+            }
+        ],
+
+        buildRequest(imageUrl, prompt, model, apiKey) {
+            return {
+                url: `${FAL_BASE_URL}/${model.path}`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Key ${apiKey}`
+                },
+                // Data URIs are accepted as image_url, so images generated with sync_mode go as they are
+                body: { ...model.input, prompt: prompt, image_url: imageUrl }
+            };
+        },
+
+        parseResult(data) {
+            return extractVideo(data);
+        },
+
+        polling: videoPolling
+    },
+
+    // Fallback to polling if sync_mode didn't return the image
+    polling: {
+        intervalMs: 500,
+        timeoutMs: 60000,
+
+        buildStatusRequest(data, request, apiKey) {
+            if (!data.request_id) {
+                throw new Error(`FAL Response missing images and request_id: ${JSON.stringify(data)}`);
+            }
+            return {
+                url: `${request.url}/requests/${data.request_id}`,
+                headers: {
+                    'Authorization': `Key ${apiKey}`
+                }
+            };
+        },
+
+        parseStatus(statusData) {
+            if (statusData.status === 'COMPLETED') {
+                const result = extractImage(statusData);
+                if (!result) {
+                    return { error: 'No image in completed response' };
+                }
+                return { result };
+            }
+            if (statusData.status === 'FAILED') {
+                return { error: `FAL Request Failed: ${statusData.error}` };
+            }
+            return null;
+        }
+    }
+};
@@ -0,0 +1,135 @@
+// providers/localProvider.js
+// Image provider definition for a user-run local server: either an OpenAI-compatible
+// /v1/images/generations endpoint or the Automatic1111 txt2img API.
+
+/**
+ * Parses a "WIDTHxHEIGHT" size setting
+ * @param {string} size - The size string (e.g. '1024x768')
+ * @returns {{width: number, height: number}}
+ */
+function parseSize(size) {
+    const match = /^(\d+)\s*x\s*(\d+)$/i.exec(String(size).trim());
+    if (!match) {
+        throw new Error(`Invalid local image size: ${size} (expected e.g. 1024x768)`);
+    }
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Removes a trailing slash so paths can be appended to the configured base URL
+ * @param {string} baseUrl - The configured base URL
+ * @returns {string}
+ */
+function trimBaseUrl(baseUrl) {
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Wraps raw base64 image data in the common image result format
+ * @param {string} base64 - Base64 encoded image bytes
+ * @returns {{url: string, base64: string, imageType: string}}
+ */
+function base64Result(base64) {
+    return {
+        url: `data:image/png;base64,${base64}`,
+        base64: base64,
+        imageType: 'png'
+    };
+}
+
+export default {
+    id: 'local',
+    name: 'Local',
+    keySetting: null,
+
+    settings: [
+        {
+            key: 'localImageBaseUrl',
+            label: 'Local Server Base URL',
+            type: 'text',
+            default: 'http://127.0.0.1:7860',
+            hint: 'Base URL of your local image server (Automatic1111 defaults to port 7860).'
+        },
+        {
+            key: 'localImageSize',
+            label: 'Local Image Size',
+            type: 'text',
+            default: '1024x768',
+            hint: 'Width x height of generated images, e.g. 1024x768.'
+        },
+        {
+            key: 'localImageSteps',
+            label: 'Local Sampling Steps',
+            type: 'number',
+            default: 20,
+            hint: 'Fewer steps are faster, more steps are more detailed.'
+        }
+    ],
+
+    // Size and steps are provider settings above; Automatic1111 also takes a seed, negative prompt and CFG scale
+    models: [
+        { id: 'local-openai', label: 'OpenAI-compatible server', api: 'openai' },
+        {
+            id: 'local-a1111',
+            label: 'Automatic1111 txt2img',
+            api: 'a1111',
+            params: { seed: {}, negativePrompt: {}, guidance: { min: 1, max: 30, default: 7 } }
+        }
+    ],
+
+    buildRequest(prompt, model, apiKey, settings, params) {
+        const baseUrl = trimBaseUrl(settings.localImageBaseUrl);
+        // Icons are drawn at their own size rather than the configured one
+        const { width, height } = params.size || parseSize(settings.localImageSize);
+        const steps = Number(settings.localImageSteps);
+
+        if (model.api === 'a1111') {
+            return {
+                url: `${baseUrl}/sdapi/v1/txt2img`,
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    prompt,
+                    negative_prompt: params.negativePrompt || '',
+                    seed: params.seed,
+                    cfg_scale: params.guidance,
+                    width,
+                    height,
+                    steps
+                }
+            };
+        }
+
+        return {
+            url: `${baseUrl}/v1/images/generations`,
+            headers: { 'Content-Type': 'application/json' },
+            body: {
+                prompt: prompt,
+                n: 1,
+                size: `${width}x${height}`,
+                steps: steps,
+                response_format: 'b64_json'
+            }
+        };
+    },
+
+    parseResult(data, model) {
+        if (model.api === 'a1111') {
+            if (!data.images || data.images.length === 0) {
+                throw new Error(`Local server returned no images: ${JSON.stringify(data)}`);
+            }
+            return base64Result(data.images[0]);
+        }
+
+        const image = data.data?.[0];
+        if (!image) {
+            throw new Error(`Local server returned no images: ${JSON.stringify(data)}`);
+        }
+        if (image.b64_json) {
+            return base64Result(image.b64_json);
+        }
+        return { url: image.url, imageType: 'png' };
+    },
+
+    // Local servers answer synchronously
+    polling: null
+};
@@ -0,0 +1,204 @@
+// providers/replicateProvider.js
+// Image provider definition for the Replicate API (https://replicate.com)
+
+import { getImageDimensions } from '../imageParams.js';
+
+/**
+ * Converts a Replicate prediction output into the common image result format
+ * @param {string|Array<string>} output - Prediction output (URL, data URI, or list of them)
+ * @returns {{url: string, base64?: string, imageType: string}}
+ */
+function extractResult(output) {
+    const url = Array.isArray(output) ? output[0] : output;
+
+    // Check if it's a data URI (base64)
+    if (typeof url === 'string' && url.startsWith('data:image')) {
+        const match = url.match(/^data:image\/(\w+);base64,(.+)$/);
+        if (match) {
+            return {
+                url: url,
+                base64: match[2],
+                imageType: match[1]
+            };
+        }
+    }
+
+    // Detect image type from URL
+    let imageType = 'jpeg';
+    if (url.includes('.png')) imageType = 'png';
+    if (url.includes('.webp')) imageType = 'webp';
+
+    return {
+        url: url,
+        imageType: imageType
+    };
+}
+
+// Polls a prediction until it succeeds, fails or is canceled
+const predictionPolling = {
+    intervalMs: 500,
+    timeoutMs: 120000,
+
+    buildStatusRequest(data, request, apiKey) {
+        const getUrl = data.urls?.get;
+        if (!getUrl) {
+            throw new Error(`Replicate Response missing get url: ${JSON.stringify(data)}`);
+        }
+        return {
+            url: getUrl,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        };
+    },
+
+    parseStatus(statusData) {
+        if (statusData.status === 'succeeded') {
+            return { result: extractResult(statusData.output) };
+        }
+        if (statusData.status === 'failed') {
+            return { error: `Replicate Request Failed: ${statusData.error}` };
+        }
+        if (statusData.status === 'canceled') {
+            return { error: 'Replicate Request Canceled' };
+        }
+        return null;
+    }
+};
+
+/**
+ * Converts a Replicate image-to-video prediction output into a video result
+ * @param {string|Array<string>} output - Prediction output (URL or list of URLs)
+ * @returns {{url: string}}
+ */
+function extractVideo(output) {
+    return { url: Array.isArray(output) ? output[0] : output };
+}
+
+export default {
+    id: 'replicate',
+    name: 'Replicate',
+    keySetting: 'replicateApiKey',
+    keyPlaceholder: 'r8_...',
+
+    models: [
+        {
+            id: 'replicate-z-image-turbo',
+            label: 'z-image-turbo',
+            endpoint: 'https://api.replicate.com/v1/predictions',
+            version: '7ea16386290ff5977c7812e66e462d7ec3954d8e007a8cd18ded3e7d41f5d7cf',
+            input: {
+                output_format: 'jpg'  // Request jpg for smaller size
+            },
+            // About 1024x768 at 4:3
+            megapixels: 0.75,
+            params: {
+                seed: {},
+                aspectRatio: {},
+                steps: { min: 1, max: 50, default: 8 },
+                guidance: { min: 0, max: 20, default: 0 }
+            }
+        },
+        {
+            id: 'replicate-pruna-p-image',
+            label: 'Pruna p-image',
+            endpoint: 'https://api.replicate.com/v1/models/prunaai/p-image/predictions',
+            input: {},
+            params: { seed: {}, aspectRatio: { values: ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3'] } }
+        }
+    ],
+
+    buildRequest(prompt, model, apiKey, settings, params) {
+        const input = { ...model.input, prompt: prompt };
+        if (params.seed !== undefined) input.seed = params.seed;
+        if (params.aspectRatio) {
+            if (model.params.aspectRatio.values) {
+                input.aspect_ratio = params.aspectRatio;
+            } else {
+                Object.assign(input, params.size || getImageDimensions(params.aspectRatio, model.megapixels));
+            }
+        }
+        if (params.steps !== undefined) input.num_inference_steps = params.steps;
+        if (params.guidance !== undefined) input.guidance_scale = params.guidance;
+
+        const body = { input };
+        if (model.version) {
+            body.version = model.version;
+        }
+
+        return {
+            url: model.endpoint,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json',
+                'Prefer': 'wait'
+            },
+            body
+        };
+    },
+
+    // Image-to-video models that animate the background (the backgroundVideoModel setting)
+    video: {
+        models: [
+            {
+                id: 'replicate-video-wan',
+                label: 'Wan 2.2 fast (image to video)',
+                endpoint: 'https://api.replicate.com/v1/models/wan-video/wan-2.2-i2v-fast/predictions',
+                input: {}
+            }
+        ],
+
+        buildRequest(imageUrl, prompt, model, apiKey) {
+            return {
+                url: model.endpoint,
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                    'Prefer': 'wait'
+                },
+                body: { input: { ...model.input, prompt: prompt, image: imageUrl } }
+            };
+        },
+
+        parseResult(data) {
+            if (data.status === 'succeeded' && data.output) {
+                return extractVideo(data.output);
+            }
+            return null;
+        },
+
+        polling: {
+            ...predictionPolling,
+            // Clips take minutes rather than seconds
+            intervalMs: 2000,
+            timeoutMs: 300000,
+
+            parseStatus(statusData) {
+                if (statusData.status === 'succeeded') {
+                    return { result: extractVideo(statusData.output) };
+                }
+                return predictionPolling.parseStatus(statusData);
+            }
+        }
+    },
+
+    buildTestRequest(apiKey) {
+        return {
+            url: 'https://api.replicate.com/v1/account',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`
+            }
+        };
+    },
+
+    parseResult(data) {
+        console.log('Replicate Response status:', data.status);
+        if (data.status === 'succeeded' && data.output) {
+            return extractResult(data.output);
+        }
+        return null;
+    },
+
+    polling: predictionPolling
+};
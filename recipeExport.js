@@ -0,0 +1,96 @@
+// recipeExport.js
+// Exports the recipe graph (see getRecipeGraph() in recipeGraph.js) as JSON, GraphML or Graphviz DOT, for graph
+// tools such as Gephi, yEd or `dot`. Every element is a node, and every recipe an edge from each ingredient to the result.
+
+/**
+ * Escapes text for safe insertion into XML
+ * @param {string} text - The raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Quotes an identifier or label for DOT
+function quoteDot(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// One edge per ingredient of every recipe. An element combined with itself (Fire + Fire) gets a single edge.
+function listRecipeEdges(recipes) {
+    return recipes.flatMap(recipe => [...new Set(recipe.ingredients)].map(ingredient => ({
+        source: ingredient,
+        target: recipe.result,
+        recipe: recipe.key
+    })));
+}
+
+/**
+ * Exports the graph as JSON
+ * @param {Object} graph - From getRecipeGraph()
+ * @returns {Blob}
+ */
+function exportRecipeGraphJson(graph) {
+    const data = {
+        exportedAt: new Date().toISOString(),
+        elements: graph.elements.map(({ name, emoji, firstDiscovery }) => ({ name, emoji, firstDiscovery })),
+        recipes: graph.recipes.map(({ ingredients, result }) => ({ ingredients, result }))
+    };
+    return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Exports the graph as GraphML, with the emoji and first discovery flag of each node and the recipe of each edge
+ * @param {Object} graph - From getRecipeGraph()
+ * @returns {Blob}
+ */
+function exportRecipeGraphMl(graph) {
+    const nodes = graph.elements.map(element => `    <node id="${escapeXml(element.name)}">
+      <data key="emoji">${escapeXml(element.emoji)}</data>
+      <data key="firstDiscovery">${element.firstDiscovery}</data>
+    </node>`);
+    const edges = listRecipeEdges(graph.recipes).map((edge, index) => `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">
+      <data key="recipe">${escapeXml(edge.recipe)}</data>
+    </edge>`);
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="emoji" for="node" attr.name="emoji" attr.type="string"/>
+  <key id="firstDiscovery" for="node" attr.name="firstDiscovery" attr.type="boolean"/>
+  <key id="recipe" for="edge" attr.name="recipe" attr.type="string"/>
+  <graph id="recipes" edgedefault="directed">
+${[...nodes, ...edges].join('\n')}
+  </graph>
+</graphml>
+`;
+    return new Blob([xml], { type: 'application/graphml+xml' });
+}
+
+/**
+ * Exports the graph as Graphviz DOT. First discoveries are drawn in gold.
+ * @param {Object} graph - From getRecipeGraph()
+ * @returns {Blob}
+ */
+function exportRecipeGraphDot(graph) {
+    const nodes = graph.elements.map(element => {
+        const label = element.emoji ? `${element.emoji} ${element.name}` : element.name;
+        const style = element.firstDiscovery ? ', style="rounded,filled", fillcolor=gold' : '';
+        return `  ${quoteDot(element.name)} [label=${quoteDot(label)}${style}];`;
+    });
+    const edges = listRecipeEdges(graph.recipes)
+        .map(edge => `  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)} [tooltip=${quoteDot(edge.recipe)}];`);
+
+    const dot = `digraph recipes {
+  rankdir=LR;
+  node [shape=box, style=rounded];
+${[...nodes, ...edges].join('\n')}
+}
+`;
+    return new Blob([dot], { type: 'text/vnd.graphviz' });
+}
+
+export { exportRecipeGraphJson, exportRecipeGraphMl, exportRecipeGraphDot };
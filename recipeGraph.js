@@ -0,0 +1,169 @@
+// recipeGraph.js
+// IndexedDB graph of the player's Infinite Craft recipes: every element seen on the board (with its emoji and
+// whether it was a first discovery) and every craft seen, ingredients -> result. Written by the background pipeline
+// as the page reports the board, used to tell the LLM how the newest discovery was made, and browsed on the recipe
+// explorer page.
+
+const DB_NAME = 'infinite-fun-recipes';
+const DB_VERSION = 1;
+const ELEMENTS_STORE = 'elements';
+const RECIPES_STORE = 'recipes';
+
+// How many crafts back the lineage of an element goes
+const MAX_LINEAGE_DEPTH = 3;
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and on first use creates) the recipe database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(ELEMENTS_STORE, { keyPath: 'name' });
+                db.createObjectStore(RECIPES_STORE, { keyPath: 'key' }).createIndex('result', 'result');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+// Key of a recipe. Ingredients are sorted, as Fire + Water and Water + Fire are the same recipe.
+function getRecipeKey(ingredients, result) {
+    return `${[...ingredients].sort().join(' + ')} → ${result}`;
+}
+
+/**
+ * Records the elements of a board and the crafts that made them. Known elements and recipes are kept, so the same
+ * update can be recorded twice; an element only gains an emoji or a first discovery flag.
+ * @param {Array<{text: string, emoji: string, discovered: boolean}>} elements - The board, from scrapeBoard() in
+ *        craftScraper.js
+ * @param {Array<{ingredients: Array<string>, result: string}>} crafts - Crafts seen in the page
+ * @returns {Promise<void>} - Resolves once everything is written
+ */
+async function recordBoard(elements, crafts = []) {
+    const db = await openDatabase();
+    const transaction = db.transaction([ELEMENTS_STORE, RECIPES_STORE], 'readwrite');
+    const elementsStore = transaction.objectStore(ELEMENTS_STORE);
+    const recipesStore = transaction.objectStore(RECIPES_STORE);
+    const now = Date.now();
+
+    for (const { text, emoji = '', discovered = false } of elements) {
+        const request = elementsStore.get(text);
+        request.onsuccess = () => {
+            const known = request.result;
+            if (!known) {
+                elementsStore.put({ name: text, emoji, firstDiscovery: discovered, firstSeenAt: now });
+            } else if ((emoji && !known.emoji) || (discovered && !known.firstDiscovery)) {
+                elementsStore.put({ ...known, emoji: known.emoji || emoji, firstDiscovery: known.firstDiscovery || discovered });
+            }
+        };
+    }
+
+    for (const { ingredients, result } of crafts) {
+        const key = getRecipeKey(ingredients, result);
+        const request = recipesStore.getKey(key);
+        request.onsuccess = () => {
+            if (request.result === undefined) {
+                recipesStore.put({ key, ingredients: [...ingredients].sort(), result, firstSeenAt: now });
+            }
+        };
+    }
+
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// The first of an element's recipes to be seen, or null if it has none
+function pickFirstRecipe(recipes) {
+    return [...recipes].sort((a, b) => a.firstSeenAt - b.firstSeenAt)[0] || null;
+}
+
+/**
+ * Walks back from an element through the recipes that made it: the craft that first made it, the crafts that made
+ * its ingredients, and so on down to elements that were never seen crafted (such as the four starting ones)
+ * @param {string} name - The element
+ * @param {Function} getRecipe - Returns (or resolves with) the recipe that made an element, or null
+ * @param {number} maxDepth - How many crafts back to go
+ * @returns {Promise<Array<{ingredients: Array<string>, result: string}>>} - Ingredients come before the crafts that
+ *          use them, so the element's own craft is last. Empty if it was never seen crafted.
+ */
+async function findRecipePath(name, getRecipe, maxDepth = Infinity) {
+    const path = [];
+    const visited = new Set();
+
+    const visit = async (element, depth) => {
+        if (depth > maxDepth || visited.has(element)) return;
+        visited.add(element);
+        const recipe = await getRecipe(element);
+        if (!recipe) return;
+        for (const ingredient of recipe.ingredients) {
+            await visit(ingredient, depth + 1);
+        }
+        path.push({ ingredients: recipe.ingredients, result: recipe.result });
+    };
+    await visit(name, 1);
+    return path;
+}
+
+/**
+ * Returns how an element was made, a few crafts back, for the LLM
+ * @param {string} name - The element
+ * @param {number} maxDepth - How many crafts back to go
+ * @returns {Promise<Array<{ingredients: Array<string>, result: string}>>} - See findRecipePath()
+ */
+async function getLineage(name, maxDepth = MAX_LINEAGE_DEPTH) {
+    const db = await openDatabase();
+    const resultIndex = db.transaction(RECIPES_STORE, 'readonly').objectStore(RECIPES_STORE).index('result');
+    return findRecipePath(name, async element => pickFirstRecipe(await requestToPromise(resultIndex.getAll(element))), maxDepth);
+}
+
+/**
+ * Loads the whole graph
+ * @returns {Promise<{elements: Array<{name: string, emoji: string, firstDiscovery: boolean, firstSeenAt: number}>,
+ *          recipes: Array<{key: string, ingredients: Array<string>, result: string, firstSeenAt: number}>}>} -
+ *          Both oldest first. Ingredients that were never seen on the board are added as elements without an emoji.
+ */
+async function getRecipeGraph() {
+    const db = await openDatabase();
+    const transaction = db.transaction([ELEMENTS_STORE, RECIPES_STORE], 'readonly');
+    const [elements, recipes] = await Promise.all([
+        requestToPromise(transaction.objectStore(ELEMENTS_STORE).getAll()),
+        requestToPromise(transaction.objectStore(RECIPES_STORE).getAll())
+    ]);
+
+    const known = new Set(elements.map(element => element.name));
+    for (const recipe of recipes) {
+        for (const name of [...recipe.ingredients, recipe.result]) {
+            if (!known.has(name)) {
+                elements.push({ name, emoji: '', firstDiscovery: false, firstSeenAt: recipe.firstSeenAt });
+                known.add(name);
+            }
+        }
+    }
+
+    const byAge = (a, b) => a.firstSeenAt - b.firstSeenAt;
+    return { elements: elements.sort(byAge), recipes: recipes.sort(byAge) };
+}
+
+export { recordBoard, findRecipePath, pickFirstRecipe, getLineage, getRecipeGraph };
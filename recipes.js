@@ -0,0 +1,193 @@
+// recipes.js
+import { getRecipeGraph, findRecipePath, pickFirstRecipe } from './recipeGraph.js';
+import { exportRecipeGraphJson, exportRecipeGraphMl, exportRecipeGraphDot } from './recipeExport.js';
+import { debounce } from './utils.js';
+
+// The graph, and lookups built from it by indexGraph()
+let graph = { elements: [], recipes: [] };
+let elementsByName = new Map();
+let recipesByResult = new Map();
+let recipesByIngredient = new Map();
+let selectedName = null;
+
+// Shows a short status line above the explorer
+const showStatus = (text, color) => {
+    const status = document.getElementById('status-message');
+    status.textContent = text;
+    status.style.color = color;
+    setTimeout(() => {
+        status.textContent = '';
+    }, 3000);
+};
+
+// Saves a blob through a temporary download link
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Adds a value to the list kept under a key
+const addToIndex = (index, key, value) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(value);
+};
+
+// Builds the lookups of the loaded graph
+const indexGraph = () => {
+    elementsByName = new Map(graph.elements.map(element => [element.name, element]));
+    recipesByResult = new Map();
+    recipesByIngredient = new Map();
+    for (const recipe of graph.recipes) {
+        addToIndex(recipesByResult, recipe.result, recipe);
+        for (const ingredient of new Set(recipe.ingredients)) {
+            addToIndex(recipesByIngredient, ingredient, recipe);
+        }
+    }
+};
+
+// Builds a clickable chip for an element, showing its emoji
+const renderElementChip = (name) => {
+    const element = elementsByName.get(name);
+    const chip = document.createElement('button');
+    chip.className = element?.firstDiscovery ? 'element-chip first-discovery' : 'element-chip';
+    chip.textContent = element?.emoji ? `${element.emoji} ${name}` : name;
+    chip.addEventListener('click', () => selectElement(name));
+    return chip;
+};
+
+// Builds a "A + B → C" line for a recipe
+const renderRecipe = (recipe) => {
+    const item = document.createElement('li');
+    recipe.ingredients.forEach((ingredient, index) => {
+        if (index > 0) item.append(' + ');
+        item.appendChild(renderElementChip(ingredient));
+    });
+    item.append(' → ', renderElementChip(recipe.result));
+    return item;
+};
+
+// Lists the elements matching the search, each with the pair it was first made from
+const renderElementList = () => {
+    const query = document.getElementById('search').value.trim().toLowerCase();
+    const elements = graph.elements.filter(element => element.name.toLowerCase().includes(query));
+
+    const rows = elements.map(element => {
+        const row = document.createElement('li');
+        row.classList.toggle('selected', element.name === selectedName);
+        row.appendChild(renderElementChip(element.name));
+
+        const recipe = pickFirstRecipe(recipesByResult.get(element.name) || []);
+        if (recipe) {
+            const parents = document.createElement('span');
+            parents.className = 'parents';
+            parents.textContent = `← ${recipe.ingredients.join(' + ')}`;
+            row.appendChild(parents);
+        }
+        return row;
+    });
+    document.getElementById('element-list').replaceChildren(...rows);
+};
+
+// Fills a recipe list, or says there is nothing in it
+const renderRecipeList = (list, recipes) => {
+    if (recipes.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'none';
+        empty.textContent = 'None seen yet';
+        list.replaceChildren(empty);
+    } else {
+        list.replaceChildren(...recipes.map(renderRecipe));
+    }
+};
+
+// Shows an element: how it was first reached from the starting elements, its recipes and what it makes
+const selectElement = async (name) => {
+    selectedName = name;
+    const element = elementsByName.get(name);
+    document.getElementById('element-details').hidden = false;
+    document.getElementById('details-name').textContent = element?.emoji ? `${element.emoji} ${name}` : name;
+    document.getElementById('details-first-discovery').hidden = !element?.firstDiscovery;
+    document.getElementById('illustration').hidden = true;
+
+    const path = await findRecipePath(name, result => pickFirstRecipe(recipesByResult.get(result) || []));
+    document.getElementById('details-path').replaceChildren(...path.map(renderRecipe));
+    document.getElementById('details-no-path').hidden = path.length > 0;
+
+    renderRecipeList(document.getElementById('details-recipes'), recipesByResult.get(name) || []);
+    renderRecipeList(document.getElementById('details-uses'), recipesByIngredient.get(name) || []);
+    renderElementList();
+};
+
+// Asks the background to draw the selected element on its own, and shows the result
+const illustrateSelected = async () => {
+    const name = selectedName;
+    const button = document.getElementById('illustrate');
+    button.disabled = true;
+    button.textContent = 'Illustrating...';
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'illustrateElement',
+            name,
+            emoji: elementsByName.get(name)?.emoji || ''
+        });
+        if (!response?.ok) {
+            showStatus(response?.error || 'Could not illustrate the element.', '#b91c1c');
+            return;
+        }
+        // Another element may have been picked meanwhile; the illustration is in the history either way
+        if (name === selectedName) {
+            const figure = document.getElementById('illustration');
+            figure.querySelector('img').src = response.imageUrl;
+            figure.querySelector('img').alt = response.prompt;
+            figure.querySelector('figcaption').textContent = response.prompt;
+            figure.hidden = false;
+        }
+        showStatus(`${name} illustrated. It was also added to the history.`, 'green');
+    } catch (e) {
+        // The service worker may be restarting
+        showStatus(e.message || 'Could not illustrate the element.', '#b91c1c');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Illustrate this element';
+    }
+};
+
+// Loads the graph and renders the explorer
+const loadGraph = async () => {
+    graph = await getRecipeGraph();
+    indexGraph();
+
+    const firstDiscoveries = graph.elements.filter(element => element.firstDiscovery).length;
+    document.getElementById('graph-stats').textContent =
+        `${graph.elements.length} elements · ${graph.recipes.length} recipes · ${firstDiscoveries} first discoveries`;
+    document.getElementById('empty-message').hidden = graph.elements.length > 0;
+    renderElementList();
+};
+
+// Downloads the graph in one of the export formats
+const exportGraph = (exporter, extension) => {
+    if (graph.elements.length === 0) {
+        showStatus('There is nothing to export yet.', '#b91c1c');
+        return;
+    }
+    downloadBlob(exporter(graph), `infinite-craft-recipes.${extension}`);
+};
+
+document.addEventListener('DOMContentLoaded', loadGraph);
+document.getElementById('search').addEventListener('input', debounce(renderElementList, 200));
+// Enter shows the exact match, or else the first element found
+document.getElementById('search').addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter') return;
+    const query = event.target.value.trim().toLowerCase();
+    const match = graph.elements.find(element => element.name.toLowerCase() === query)
+        || graph.elements.find(element => element.name.toLowerCase().includes(query));
+    if (match) selectElement(match.name);
+});
+document.getElementById('illustrate').addEventListener('click', illustrateSelected);
+document.getElementById('export-json').addEventListener('click', () => exportGraph(exportRecipeGraphJson, 'json'));
+document.getElementById('export-graphml').addEventListener('click', () => exportGraph(exportRecipeGraphMl, 'graphml'));
+document.getElementById('export-dot').addEventListener('click', () => exportGraph(exportRecipeGraphDot, 'dot'));
@@ -0,0 +1,82 @@
+// retryPolicy.js
+// Shared retry policy for LLM and image requests: transient failures (rate limits, timeouts, network errors, 5xx)
+// are retried with exponential backoff and jitter, waiting for the server's Retry-After when it sends one.
+// Requests that start a paid job are only sent again when the server said it didn't take them (see isRejectedRequest()).
+
+import { sleep } from './utils.js';
+
+const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    // A Retry-After longer than this isn't worth waiting for during a game; the error is reported instead
+    maxRetryAfterMs: 30000
+};
+
+/**
+ * Tells whether a failed request is worth sending again
+ * @param {Error} error - Usually a PipelineError
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    if (error?.name === 'AbortError') return false;
+    if (['rate_limit', 'timeout', 'network'].includes(error?.kind)) return true;
+    return error?.status >= 500;
+}
+
+/**
+ * Tells whether a request that may have started a paid job (an image or video submission) is worth sending again.
+ * Only a 429 or 503 says the job wasn't taken: a timeout, a dropped connection or a 502/504 can come after the
+ * provider accepted it, and sending it again would pay for it twice.
+ * @param {Error} error - Usually a PipelineError
+ * @returns {boolean}
+ */
+function isRejectedRequest(error) {
+    if (error?.name === 'AbortError') return false;
+    return error?.status === 429 || error?.status === 503;
+}
+
+/**
+ * Returns how long to wait before the next attempt
+ * @param {number} attempt - The attempt that just failed, starting at 0
+ * @param {Error} error - The error it failed with; its retryAfterMs wins over the backoff
+ * @param {Object} policy - See DEFAULT_RETRY_POLICY
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempt, error, policy = DEFAULT_RETRY_POLICY) {
+    if (error?.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+        return error.retryAfterMs;
+    }
+    // "Equal jitter": half of the exponential delay, plus a random share of the other half
+    const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Runs a request, retrying it while it fails with a transient error
+ * @param {Function} request - async (attempt) => result
+ * @param {Object} options
+ * @param {string} options.label - Name used in the logs, e.g. 'FAL'
+ * @param {AbortSignal} [options.signal] - Cancels the request and any wait between attempts
+ * @param {Object} [options.policy] - Overrides of DEFAULT_RETRY_POLICY
+ * @param {Function} [options.shouldRetry] - (error) => boolean. Which failures to retry; isRetryable() by default.
+ * @returns {Promise<*>} - The request's result
+ */
+async function withRetry(request, { label, signal, policy = {}, shouldRetry = isRetryable } = {}) {
+    const { maxRetries, maxRetryAfterMs, ...backoff } = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request(attempt);
+        } catch (error) {
+            if (attempt >= maxRetries || !shouldRetry(error) || error.retryAfterMs > maxRetryAfterMs) {
+                throw error;
+            }
+            const delay = getRetryDelay(attempt, error, backoff);
+            console.warn(`${label} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+export { DEFAULT_RETRY_POLICY, isRetryable, isRejectedRequest, getRetryDelay, withRetry };
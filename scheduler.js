@@ -0,0 +1,87 @@
+// scheduler.js
+// Runs pipeline jobs one at a time per key (an Infinite Craft tab) and always converges on the latest state.
+// Jobs that arrive while another one runs are coalesced into a single pending job instead of being dropped.
+
+/**
+ * Creates a latest-wins job scheduler
+ * @param {Object} options
+ * @param {Function} options.run - async (key, job, signal) => void. Runs one job; the signal aborts when the job is superseded.
+ * @param {Function} [options.coalesce] - (pendingJob, newJob) => job. Merges a new job into the one already waiting.
+ *                                        Defaults to keeping only the newest job.
+ * @param {Function} [options.getMinIntervalMs] - () => number. Minimum time between two job starts for the same key.
+ * @returns {{submit: Function, cancel: Function}}
+ */
+function createScheduler({ run, coalesce = (pendingJob, newJob) => newJob, getMinIntervalMs = () => 0 }) {
+    // key -> { running: AbortController|null, pending: job|null, timer, lastStart }
+    const queues = new Map();
+
+    const getQueue = (key) => {
+        if (!queues.has(key)) {
+            queues.set(key, { running: null, pending: null, timer: null, lastStart: 0 });
+        }
+        return queues.get(key);
+    };
+
+    // Starts the pending job of a key, once nothing runs and the minimum interval has passed
+    const startNext = (key) => {
+        const queue = queues.get(key);
+        if (!queue || queue.running || !queue.pending || queue.timer) return;
+
+        const wait = queue.lastStart + getMinIntervalMs() - Date.now();
+        if (wait > 0) {
+            queue.timer = setTimeout(() => {
+                queue.timer = null;
+                startNext(key);
+            }, wait);
+            return;
+        }
+
+        const job = queue.pending;
+        const controller = new AbortController();
+        queue.pending = null;
+        queue.running = controller;
+        queue.lastStart = Date.now();
+
+        Promise.resolve()
+            .then(() => run(key, job, controller.signal))
+            .catch(error => console.error('[Scheduler] Job failed:', error))
+            .finally(() => {
+                queue.running = null;
+                startNext(key);
+            });
+    };
+
+    /**
+     * Queues a job for a key
+     * @param {*} key - What jobs are serialized by (a tab id)
+     * @param {Object} job - The job to pass to run()
+     * @param {string} policy - 'cancel' aborts a running job so the new one starts sooner, 'finish' lets it complete
+     */
+    const submit = (key, job, policy = 'cancel') => {
+        const queue = getQueue(key);
+        queue.pending = queue.pending ? coalesce(queue.pending, job) : job;
+
+        if (queue.running && policy === 'cancel' && !queue.running.signal.aborted) {
+            console.log('[Scheduler] Newer state arrived, cancelling the running job for', key);
+            queue.running.abort();
+        }
+        startNext(key);
+    };
+
+    /**
+     * Aborts the running job of a key and forgets its pending one
+     * @param {*} key - The key to cancel
+     */
+    const cancel = (key) => {
+        const queue = queues.get(key);
+        if (!queue) return;
+
+        clearTimeout(queue.timer);
+        queue.running?.abort();
+        queues.delete(key);
+    };
+
+    return { submit, cancel };
+}
+
+export { createScheduler };
@@ -0,0 +1,281 @@
+// settings.js
+// Single source of truth for the extension settings, stored in chrome.storage.sync.
+// Every setting has a schema entry with its type, default and constraints. The popup, options page, background
+// and content scripts read and write through this module, so they can no longer disagree on defaults.
+// Image and LLM providers add their own settings (API keys, base URLs...) with registerSettings().
+// Secret settings (API keys) never go to chrome.storage.sync; keyVault.js keeps them on this device.
+
+import { SECRETS_KEY, readSecrets, writeSecrets } from './keyVault.js';
+
+/**
+ * Schema entry fields:
+ * - type: 'string', 'number', 'boolean', 'enum', 'array' (of strings) or 'object' (plain JSON object)
+ * - default: value used when nothing valid is stored
+ * - values: allowed values of an 'enum'
+ * - min, max: bounds of a 'number'
+ * - validate(value): optional extra check, returns false to reject the value, or throws to reject it with its own message
+ * - secret: true for API keys, stored through keyVault.js in chrome.storage.local instead of chrome.storage.sync
+ */
+const settingsSchema = {
+    monitorFrequency: { type: 'number', default: 2000, min: 1000 },
+    emphasisStyle: { type: 'enum', values: ['bold', 'italic', 'underline', 'highlight', 'none'], default: 'bold' },
+    updatePolicy: { type: 'enum', values: ['cancel', 'finish'], default: 'cancel' },
+    llmStreaming: { type: 'boolean', default: true },
+    comparisonMode: { type: 'boolean', default: false },
+    comparisonModels: { type: 'array', default: [] },
+    comparisonLayout: { type: 'enum', values: ['split', 'carousel'], default: 'split' },
+    // How the generated image is drawn behind the game (backgroundLayers.js); dim is a percentage, blur in pixels
+    backgroundFit: { type: 'enum', values: ['cover', 'contain', 'tile', 'parallax'], default: 'cover' },
+    backgroundDim: { type: 'number', default: 0, min: 0, max: 80 },
+    backgroundBlur: { type: 'number', default: 0, min: 0, max: 20 },
+    backgroundExcludeSidebar: { type: 'boolean', default: true },
+    // Slow pan and zoom of the current image; speed 1 takes two minutes per pan, 10 takes twelve seconds
+    backgroundAnimation: { type: 'enum', values: ['none', 'kenburns'], default: 'none' },
+    kenBurnsSpeed: { type: 'number', default: 3, min: 1, max: 10 },
+    // Small generated icon next to every element in the game (elementIcons.js), drawn with the iconModel setting
+    elementIcons: { type: 'boolean', default: false },
+    // Image model that draws the element icons; empty uses imageModel. Here rather than with the image settings as the
+    // content script watches it, so getIconModelId() in apiHandler.js checks the model exists.
+    iconModel: { type: 'string', default: '' },
+    // Size limit of the image and prompt cache (generationCache.js); 0 turns the cache off
+    cacheMaxMB: { type: 'number', default: 100, min: 0 },
+    wandbApiKey: { type: 'string', default: '', secret: true },
+    wandbTeam: { type: 'string', default: '' },
+    weaveProject: { type: 'string', default: 'infinite-fun' }
+};
+
+// Key holding the version of the last migration applied to the stored settings
+const VERSION_KEY = 'settingsVersion';
+
+// Migrations, in order: the stored settings are at version N once MIGRATIONS[N - 1] has run.
+// They work on the raw stored values, so they must not rely on the current schema.
+const MIGRATIONS = [
+    // v1: before LLM providers were configurable, the key saved as "openaiApiKey" was always sent to Cerebras.
+    // Move it to the Cerebras slot so "openaiApiKey" can hold a real OpenAI key.
+    async () => {
+        const stored = await chrome.storage.sync.get(['llmProvider', 'openaiApiKey', 'cerebrasApiKey', 'llmModel']);
+        if (stored.llmProvider || !stored.openaiApiKey) return;
+
+        const migrated = { llmProvider: 'cerebras' };
+        if (!stored.cerebrasApiKey) {
+            migrated.cerebrasApiKey = stored.openaiApiKey;
+        }
+        // The old options default never worked against Cerebras; fall back to the provider default
+        if (stored.llmModel === 'gpt-4o-mini') {
+            migrated.llmModel = '';
+        }
+
+        await chrome.storage.sync.set(migrated);
+        await chrome.storage.sync.remove('openaiApiKey');
+    },
+
+    // v2: API keys used to be synced to every signed-in browser. Move them to this device's chrome.storage.local.
+    async () => {
+        const stored = await chrome.storage.sync.get(null);
+        const keys = Object.keys(stored).filter(key => key.endsWith('ApiKey'));
+        if (keys.length === 0) return;
+
+        const { [SECRETS_KEY]: secrets = {} } = await chrome.storage.local.get(SECRETS_KEY);
+        for (const key of keys) {
+            secrets[key] = stored[key];
+        }
+        await chrome.storage.local.set({ [SECRETS_KEY]: secrets });
+        await chrome.storage.sync.remove(keys);
+    }
+];
+
+const SETTINGS_VERSION = MIGRATIONS.length;
+
+// Returns the schema entry of a setting, failing loudly on typos
+function getSchemaEntry(key) {
+    const entry = settingsSchema[key];
+    if (!entry) {
+        throw new Error(`Unknown setting: ${key}`);
+    }
+    return entry;
+}
+
+// Returns a copy of a setting's default, so callers can't mutate the schema
+function getDefault(key) {
+    const value = getSchemaEntry(key).default;
+    return Array.isArray(value) ? [...value] : value;
+}
+
+/**
+ * Tells whether a setting is an API key, stored on this device only and possibly encrypted
+ * @param {string} key - The setting key
+ * @returns {boolean}
+ */
+function isSecretSetting(key) {
+    return Boolean(getSchemaEntry(key).secret);
+}
+
+/**
+ * Adds settings to the schema, e.g. the API key and extra settings of a provider
+ * @param {Object} fragment - Setting key -> schema entry
+ */
+function registerSettings(fragment) {
+    for (const [key, entry] of Object.entries(fragment)) {
+        if (settingsSchema[key]) {
+            throw new Error(`Setting already registered: ${key}`);
+        }
+        settingsSchema[key] = entry;
+    }
+}
+
+/**
+ * Returns the defaults of the given settings
+ * @param {Array<string>} keys - Setting keys, all registered settings if omitted
+ * @returns {Object} - Setting key -> default value
+ */
+function getSettingDefaults(keys = Object.keys(settingsSchema)) {
+    return Object.fromEntries(keys.map(key => [key, getDefault(key)]));
+}
+
+/**
+ * Checks a value against a setting's schema
+ * @param {string} key - The setting key
+ * @param {*} value - The value to check. Numbers may be given as strings, as read from form inputs.
+ * @returns {*} - The value, converted to the setting's type
+ * @throws {Error} - If the setting is unknown or the value is invalid
+ */
+function validateSetting(key, value) {
+    const entry = getSchemaEntry(key);
+    const invalid = () => new Error(`Invalid value for setting "${key}": ${JSON.stringify(value)}`);
+    let normalized = value;
+
+    switch (entry.type) {
+        case 'number':
+            if (typeof value === 'string' && value.trim() !== '') {
+                normalized = Number(value);
+            }
+            if (typeof normalized !== 'number' || Number.isNaN(normalized)) throw invalid();
+            if (entry.min !== undefined && normalized < entry.min) {
+                throw new Error(`Setting "${key}" must be at least ${entry.min}`);
+            }
+            if (entry.max !== undefined && normalized > entry.max) {
+                throw new Error(`Setting "${key}" must be at most ${entry.max}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') throw invalid();
+            break;
+        case 'string':
+            if (typeof value !== 'string') throw invalid();
+            break;
+        case 'enum':
+            if (!entry.values.includes(value)) throw invalid();
+            break;
+        case 'array':
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) throw invalid();
+            break;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalid();
+            break;
+        default:
+            throw new Error(`Unknown type "${entry.type}" for setting "${key}"`);
+    }
+
+    if (entry.validate && !entry.validate(normalized)) throw invalid();
+    return normalized;
+}
+
+// Turns a stored value into a valid one: missing or invalid values fall back to the default
+function readStoredValue(key, value) {
+    if (value === undefined) return getDefault(key);
+    try {
+        return validateSetting(key, value);
+    } catch (e) {
+        console.warn(`${e.message}, using the default`);
+        return getDefault(key);
+    }
+}
+
+/**
+ * Reads settings, with defaults for missing or invalid values.
+ * Secrets read as their default (empty) while the key vault is locked.
+ * @param {Array<string>} keys - Setting keys, all registered settings if omitted
+ * @returns {Promise<Object>} - Setting key -> value
+ */
+async function getSettings(keys = Object.keys(settingsSchema)) {
+    const secretKeys = keys.filter(isSecretSetting);
+    const stored = await chrome.storage.sync.get(keys.filter(key => !secretKeys.includes(key)));
+    if (secretKeys.length > 0) {
+        Object.assign(stored, await readSecrets());
+    }
+    return Object.fromEntries(keys.map(key => [key, readStoredValue(key, stored[key])]));
+}
+
+/**
+ * Validates and saves settings. Nothing is saved if any value is invalid.
+ * @param {Object} values - Setting key -> value
+ * @returns {Promise<Object>} - The saved values, converted to their types
+ * @throws {Error} - If a setting is unknown, a value is invalid, or secrets are given while the key vault is locked
+ */
+async function setSettings(values) {
+    const normalized = {};
+    const secrets = {};
+    for (const [key, value] of Object.entries(values)) {
+        const target = isSecretSetting(key) ? secrets : normalized;
+        target[key] = validateSetting(key, value);
+    }
+    // Secrets first: they are the ones that can fail (locked vault)
+    if (Object.keys(secrets).length > 0) {
+        await writeSecrets(secrets);
+    }
+    await chrome.storage.sync.set(normalized);
+    return { ...normalized, ...secrets };
+}
+
+/**
+ * Calls back whenever some of the given settings change, in any extension page or script
+ * @param {Array<string>} keys - The settings to watch
+ * @param {Function} callback - (changed) => void, with setting key -> new value for the settings that changed
+ * @returns {Function} - Stops the subscription
+ */
+function subscribeSettings(keys, callback) {
+    const secretKeys = keys.filter(isSecretSetting);
+    const listener = async (changes, areaName) => {
+        const changed = {};
+        if (areaName === 'sync') {
+            for (const key of keys) {
+                if (changes[key]) {
+                    changed[key] = readStoredValue(key, changes[key].newValue);
+                }
+            }
+        } else if (areaName === 'local' && changes[SECRETS_KEY] && secretKeys.length > 0) {
+            // Secrets may be encrypted, so the watched ones are read again rather than diffed
+            Object.assign(changed, await getSettings(secretKeys));
+        }
+        if (Object.keys(changed).length > 0) {
+            callback(changed);
+        }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Brings the stored settings up to SETTINGS_VERSION by running the migrations they haven't seen yet
+ * @returns {Promise<void>}
+ */
+async function migrateSettings() {
+    const { [VERSION_KEY]: storedVersion = 0 } = await chrome.storage.sync.get(VERSION_KEY);
+    for (let version = storedVersion + 1; version <= SETTINGS_VERSION; version++) {
+        await MIGRATIONS[version - 1]();
+        await chrome.storage.sync.set({ [VERSION_KEY]: version });
+        console.log(`Migrated settings to version ${version}`);
+    }
+}
+
+export {
+    SETTINGS_VERSION,
+    registerSettings,
+    isSecretSetting,
+    getSettingDefaults,
+    validateSetting,
+    getSettings,
+    setSettings,
+    subscribeSettings,
+    migrateSettings
+};
@@ -0,0 +1,154 @@
+// storybook.js
+// Turns the generations of a story session into chapters, and exports them as a
+// self-contained HTML storybook or a ZIP of images with a JSON manifest.
+
+import { createZip } from './zipWriter.js';
+import { bytesToBase64 } from './utils.js';
+
+/**
+ * Escapes text for safe insertion into HTML
+ * @param {string} text - The raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turns a session's generations into chapters, each listing the elements crafted since the previous one
+ * @param {Array<Object>} generations - History entries, oldest first
+ * @returns {Array<Object>} - { number, elements, newElements, prompt, imageModel, createdAt, image, imagePath }
+ */
+function buildChapters(generations) {
+    let previousElements = new Set();
+
+    return generations.map((entry, index) => {
+        const newElements = entry.elements.filter(element => !previousElements.has(element));
+        previousElements = new Set(entry.elements);
+
+        const number = index + 1;
+        return {
+            number,
+            elements: entry.elements,
+            newElements,
+            prompt: entry.prompt,
+            imageModel: entry.imageModel,
+            createdAt: entry.createdAt,
+            image: entry.image,
+            imagePath: `images/chapter-${String(number).padStart(2, '0')}.${entry.imageType === 'jpeg' ? 'jpg' : entry.imageType}`
+        };
+    });
+}
+
+/**
+ * Builds the JSON manifest describing the story
+ * @param {Object} session - The story session
+ * @param {Array<Object>} chapters - Chapters from buildChapters()
+ * @returns {Object}
+ */
+function buildManifest(session, chapters) {
+    return {
+        title: session.title,
+        startedAt: new Date(session.startedAt).toISOString(),
+        endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+        chapters: chapters.map(chapter => ({
+            chapter: chapter.number,
+            newElements: chapter.newElements,
+            elements: chapter.elements,
+            prompt: chapter.prompt,
+            imageModel: chapter.imageModel,
+            createdAt: new Date(chapter.createdAt).toISOString(),
+            image: chapter.imagePath
+        }))
+    };
+}
+
+/**
+ * Renders the storybook page
+ * @param {Object} session - The story session
+ * @param {Array<Object>} chapters - Chapters from buildChapters()
+ * @param {Array<string>} imageSources - The img src of each chapter (data URI or relative path)
+ * @returns {string} - A complete HTML document
+ */
+function renderStorybookHtml(session, chapters, imageSources) {
+    const chapterHtml = chapters.map((chapter, index) => {
+        const discoveries = chapter.newElements.length > 0
+            ? `<p class="discoveries">Newly crafted: ${chapter.newElements.map(escapeHtml).join(', ')}</p>`
+            : '<p class="discoveries">The scene is re-imagined.</p>';
+        return `
+    <section class="chapter">
+        <h2>Chapter ${chapter.number}</h2>
+        ${discoveries}
+        <img src="${imageSources[index]}" alt="Chapter ${chapter.number}">
+        <p class="prompt">${escapeHtml(chapter.prompt)}</p>
+    </section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(session.title)}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; background: #faf7f2; color: #2b2b2b; margin: 0; padding: 40px 20px; }
+        main { max-width: 860px; margin: auto; }
+        h1 { text-align: center; font-size: 40px; margin-bottom: 4px; }
+        .dates { text-align: center; color: #777; margin-bottom: 48px; }
+        .chapter { margin-bottom: 64px; page-break-inside: avoid; break-inside: avoid; }
+        .chapter h2 { font-size: 24px; border-bottom: 1px solid #ddd; padding-bottom: 8px; }
+        .discoveries { font-style: italic; color: #6b5b3e; }
+        .chapter img { width: 100%; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.15); }
+        .prompt { font-size: 18px; line-height: 1.6; }
+        @media print {
+            body { background: #fff; padding: 0; }
+            .chapter { page-break-after: always; }
+        }
+    </style>
+</head>
+<body>
+<main>
+    <h1>${escapeHtml(session.title)}</h1>
+    <p class="dates">${new Date(session.startedAt).toLocaleString()}${session.endedAt ? ` – ${new Date(session.endedAt).toLocaleString()}` : ''}</p>
+${chapterHtml}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Builds the self-contained HTML storybook, with every image embedded as a data URI
+ * @param {Object} session - The story session
+ * @param {Array<Object>} chapters - Chapters from buildChapters()
+ * @returns {Promise<Blob>} - The HTML document
+ */
+async function exportStorybookHtml(session, chapters) {
+    const imageSources = await Promise.all(chapters.map(async chapter => {
+        const bytes = new Uint8Array(await chapter.image.arrayBuffer());
+        return `data:${chapter.image.type || 'image/jpeg'};base64,${bytesToBase64(bytes)}`;
+    }));
+    return new Blob([renderStorybookHtml(session, chapters, imageSources)], { type: 'text/html' });
+}
+
+/**
+ * Builds a ZIP with every chapter image, the JSON manifest and an HTML storybook that links the images
+ * @param {Object} session - The story session
+ * @param {Array<Object>} chapters - Chapters from buildChapters()
+ * @returns {Promise<Blob>} - The ZIP archive
+ */
+async function exportStoryZip(session, chapters) {
+    const files = await Promise.all(chapters.map(async chapter => ({
+        name: chapter.imagePath,
+        data: new Uint8Array(await chapter.image.arrayBuffer())
+    })));
+
+    files.push({ name: 'manifest.json', data: JSON.stringify(buildManifest(session, chapters), null, 2) });
+    files.push({ name: 'storybook.html', data: renderStorybookHtml(session, chapters, chapters.map(chapter => chapter.imagePath)) });
+
+    return createZip(files);
+}
+
+export { buildChapters, buildManifest, exportStorybookHtml, exportStoryZip };
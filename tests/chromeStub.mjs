@@ -0,0 +1,43 @@
+// chromeStub.mjs
+// In-memory stand-in for the chrome.storage areas the shared modules use, so they can run under `node --test`.
+// Import it before the modules under test.
+
+const areas = { sync: {}, local: {}, session: {} };
+
+const createArea = (name) => ({
+    get: async (keys) => {
+        const data = areas[name];
+        if (keys === null || keys === undefined) return { ...data };
+        const wanted = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        return Object.fromEntries(wanted
+            .filter(key => key in data || key in defaults)
+            .map(key => [key, key in data ? data[key] : defaults[key]]));
+    },
+    set: async (values) => {
+        Object.assign(areas[name], values);
+    },
+    remove: async (keys) => {
+        for (const key of [].concat(keys)) delete areas[name][key];
+    }
+});
+
+globalThis.chrome = {
+    storage: {
+        sync: createArea('sync'),
+        local: createArea('local'),
+        session: createArea('session'),
+        onChanged: { addListener() {}, removeListener() {} }
+    }
+};
+
+/**
+ * Empties every storage area, e.g. between tests
+ */
+function resetChromeStorage() {
+    for (const data of Object.values(areas)) {
+        for (const key of Object.keys(data)) delete data[key];
+    }
+}
+
+export { resetChromeStorage };
@@ -0,0 +1,49 @@
+// pipelineState.test.mjs
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetChromeStorage } from './chromeStub.mjs';
+import { getPipelineState, setPipelineState, updatePipelineDetails } from '../pipelineState.js';
+
+const TAB_ID = 7;
+const retryJob = { type: 'regenerate' };
+
+beforeEach(resetChromeStorage);
+
+test('a job that fails before getting busy records its error', async () => {
+    await setPipelineState(TAB_ID, 'error', { error: { kind: 'network' }, retryJob });
+    const record = await getPipelineState(TAB_ID);
+    assert.equal(record.state, 'error');
+    assert.deepEqual(record.retryJob, retryJob);
+});
+
+test('a second failure replaces the first one', async () => {
+    await setPipelineState(TAB_ID, 'error', { error: { kind: 'network' }, retryJob: { type: 'update' } });
+    await setPipelineState(TAB_ID, 'error', { error: { kind: 'timeout' }, retryJob });
+    const record = await getPipelineState(TAB_ID);
+    assert.equal(record.error.kind, 'timeout');
+    assert.deepEqual(record.retryJob, retryJob);
+});
+
+test('a failed job can be retried', async () => {
+    await setPipelineState(TAB_ID, 'error', { error: { kind: 'network' }, retryJob });
+    await setPipelineState(TAB_ID, 'prompting');
+    assert.equal((await getPipelineState(TAB_ID)).state, 'prompting');
+});
+
+test('unknown states and invalid transitions are refused', async () => {
+    await assert.rejects(setPipelineState(TAB_ID, 'done'), /Unknown pipeline state/);
+    await setPipelineState(TAB_ID, 'imaging');
+    await assert.rejects(setPipelineState(TAB_ID, 'prompting'), /Invalid pipeline transition/);
+});
+
+test('overlapping writes of a tab are applied in order', async () => {
+    await Promise.all([
+        setPipelineState(TAB_ID, 'prompting', { texts: ['Fire'] }),
+        updatePipelineDetails(TAB_ID, { crafts: [] }),
+        setPipelineState(TAB_ID, 'imaging', { pendingImage: null }),
+        updatePipelineDetails(TAB_ID, { pendingImage: { id: 'job' } })
+    ]);
+    const record = await getPipelineState(TAB_ID);
+    assert.equal(record.state, 'imaging');
+    assert.deepEqual(record.pendingImage, { id: 'job' });
+});
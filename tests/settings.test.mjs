@@ -0,0 +1,25 @@
+// settings.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import './chromeStub.mjs';
+import { getSettings } from '../settings.js';
+
+// The keys nealFunContentScript.js reads and watches. The content script only loads settings.js, so every one of
+// them must be in the base schema rather than registered by a provider module.
+const readContentScriptKeys = async () => {
+    const source = await readFile(new URL('../nealFunContentScript.js', import.meta.url), 'utf8');
+    const list = source.match(/const keys = \[([^\]]*)\]/)[1];
+    return [...list.matchAll(/'([^']+)'/g)].map(match => match[1]);
+};
+
+test('the content script settings load without the provider modules', async () => {
+    const keys = await readContentScriptKeys();
+    assert.ok(keys.includes('elementIcons'));
+    assert.ok(keys.includes('iconModel'));
+
+    const settings = await getSettings(keys);
+    assert.deepEqual(Object.keys(settings), keys);
+    assert.equal(settings.elementIcons, false);
+    assert.equal(settings.iconModel, '');
+});
@@ -63,5 +63,89 @@ function extractHostname(url) {
     return hostname;
 }
 
+/**
+ * Function to encode raw bytes as base64. Encodes in chunks to avoid stack overflow on large images.
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} - The base64 encoded bytes
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 32768;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
+        binary += String.fromCharCode.apply(null, chunk);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Function to decode base64 into raw bytes
+ * @param {string} base64 - The base64 encoded data
+ * @returns {Uint8Array} - The decoded bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Function to download an image and detect its type from the response headers, falling back to the URL
+ * @param {string} imageUrl - The image URL
+ * @returns {Promise<{bytes: Uint8Array, imageType: string}>} - The image bytes and type (e.g. 'png')
+ */
+async function fetchImageBytes(imageUrl) {
+    const response = await fetch(imageUrl);
+    if (!response.ok) {
+        throw new Error(`Image fetch failed: ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    let imageType = 'jpeg';
+    if (contentType.includes('png') || imageUrl.includes('.png')) imageType = 'png';
+    else if (contentType.includes('webp') || imageUrl.includes('.webp')) imageType = 'webp';
+    else if (contentType.includes('gif') || imageUrl.includes('.gif')) imageType = 'gif';
+
+    // Use ArrayBuffer for more reliable binary handling
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return { bytes, imageType };
+}
+
+/**
+ * Function to wait for a number of milliseconds, rejecting early when the signal is aborted
+ * @param {number} ms - The number of milliseconds to wait
+ * @param {AbortSignal} [signal] - Aborts the wait with the signal's reason
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(signal.reason);
+        };
+        const timeout = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 // Exporting the utility functions to be used in other scripts
-export { urlMatchesPattern, debounce, formatImageData, extractHostname };
+export {
+    urlMatchesPattern,
+    debounce,
+    formatImageData,
+    extractHostname,
+    bytesToBase64,
+    base64ToBytes,
+    fetchImageBytes,
+    sleep
+};
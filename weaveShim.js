@@ -14,6 +14,22 @@ export function init(project, options) {
     console.log('[WeaveShim] Initialized', { project, apiKey: _apiKey ? '***' : 'missing' });
 }
 
+/**
+ * Builds a cheap authenticated request that only succeeds if the key can read the project,
+ * used by the options page to check the W&B settings before any trace is sent
+ * @param {string} project - The project id, "team/project"
+ * @param {string} apiKey - The W&B API key
+ * @returns {{url: string, method: string, headers: Object, body: string}}
+ */
+export function buildConnectionTestRequest(project, apiKey) {
+    return {
+        url: `${WEAVE_API_URL}/calls/query_stats`,
+        method: 'POST',
+        headers: getAuthHeaders(apiKey),
+        body: JSON.stringify({ project_id: project, limit: 1 })
+    };
+}
+
 function generateId() {
     return crypto.randomUUID();
 }
@@ -22,21 +38,23 @@ function toISODateTime(date = new Date()) {
     return date.toISOString();
 }
 
+// W&B uses Basic auth with "api" as username and API key as password
+function getAuthHeaders(apiKey) {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Basic ${btoa(`api:${apiKey}`)}`
+    };
+}
+
 async function apiCall(endpoint, payload) {
     if (!_apiKey) {
         console.log('[WeaveShim] No API key, skipping trace');
         return null;
     }
     try {
-        // W&B uses Basic auth with "api" as username and API key as password
-        const basicAuth = btoa(`api:${_apiKey}`);
-        
         const response = await fetch(`${WEAVE_API_URL}${endpoint}`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Basic ${basicAuth}`
-            },
+            headers: getAuthHeaders(_apiKey),
             body: JSON.stringify(payload)
         });
         
@@ -203,6 +221,24 @@ export async function endChildSpan(context, output = {}, usage = null) {
     console.log(`[WeaveShim] Ended child span: ${context.name}`);
 }
 
+/**
+ * Attach feedback (e.g. a player's vote) to a logged call
+ * @param {string} callId - The call to attach the feedback to
+ * @param {string} feedbackType - Feedback name shown in the Weave UI
+ * @param {Object} payload - Feedback data
+ */
+export async function addFeedback(callId, feedbackType, payload) {
+    const result = await apiCall('/feedback/create', {
+        project_id: _projectId,
+        weave_ref: `weave:///${_projectId}/call/${callId}`,
+        feedback_type: feedbackType,
+        payload: payload
+    });
+    
+    console.log(`[WeaveShim] Added feedback: ${feedbackType}`, callId);
+    return result;
+}
+
 /**
  * Convenience wrapper for tracing an LLM call with proper chat UI format
  * @param {string} model - Model name (e.g., "gpt-4o")
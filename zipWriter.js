@@ -0,0 +1,102 @@
+// zipWriter.js
+// Minimal ZIP archive writer (stored, uncompressed entries). Images are already compressed,
+// so storing them keeps the archive small without pulling in a compression library.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum required by the ZIP format
+ * @param {Uint8Array} bytes - The data to checksum
+ * @returns {number} - The unsigned CRC-32
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used in ZIP headers
+ * @param {Date} date - The modification date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive from a list of files
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Paths inside the archive and their contents
+ * @returns {Blob} - The archive, typed application/zip
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034B50, true);  // Local file header signature
+        localHeader.setUint16(4, 20, true);          // Version needed to extract
+        localHeader.setUint16(6, 0x0800, true);      // UTF-8 file names
+        localHeader.setUint16(8, 0, true);           // Stored (no compression)
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, date, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, name.length, true);
+        localHeader.setUint16(28, 0, true);          // Extra field length
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014B50, true); // Central directory signature
+        centralHeader.setUint16(4, 20, true);         // Version made by
+        centralHeader.setUint16(6, 20, true);         // Version needed to extract
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, date, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, name.length, true);
+        centralHeader.setUint32(42, offset, true);    // Offset of the local header
+
+        chunks.push(localHeader, name, data);
+        centralDirectory.push(centralHeader, name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);               // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+export { createZip };